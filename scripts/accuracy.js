@@ -0,0 +1,179 @@
+/**
+ * Prediction accuracy
+ * Compares past predictions with gauge observations: height errors and how far
+ * access windows actually opened and closed from their predicted times
+ */
+
+const ROLLING_DAYS = 7; // Trailing days combined for the rolling statistics
+
+// Observed windows this close to a predicted one count as the same window
+// (readings near the threshold can flicker across it)
+const WINDOW_MATCH_MINUTES = 60;
+
+/**
+ * Pair each good-quality observation with the prediction interpolated at its time
+ * Returns [{ time, observation, prediction, error }] in time order, error = observation - prediction
+ */
+function pairObservations(predictionSeries, observations) {
+    const sorted = observations
+        .filter(obs => !window.TideCalc.isSuspectFlag(obs.qcFlagCode || null))
+        .map(obs => ({ time: new Date(obs.eventDate), observation: obs.value }))
+        .sort((a, b) => a.time - b.time);
+    const pairs = [];
+    let index = 0;
+
+    // Both lists are in time order, so one pass finds the predictions either side of each observation
+    sorted.forEach(obs => {
+        while (index < predictionSeries.length - 2 && predictionSeries[index + 1].time < obs.time) index++;
+
+        const before = predictionSeries[index];
+        const after = predictionSeries[index + 1];
+        if (!after || obs.time < before.time || obs.time > after.time) return;
+
+        const fraction = after.time > before.time ? (obs.time - before.time) / (after.time - before.time) : 0;
+        const prediction = before.prediction + fraction * (after.prediction - before.prediction);
+        pairs.push({ ...obs, prediction, error: obs.observation - prediction });
+    });
+
+    return pairs;
+}
+
+/**
+ * Accumulate error sums for a set of pairs ({ count, sum, sumSquares, maxError })
+ */
+function sumErrors(pairs) {
+    return pairs.reduce((sums, pair) => ({
+        count: sums.count + 1,
+        sum: sums.sum + pair.error,
+        sumSquares: sums.sumSquares + pair.error * pair.error,
+        maxError: Math.abs(pair.error) > Math.abs(sums.maxError || 0) ? pair.error : sums.maxError
+    }), { count: 0, sum: 0, sumSquares: 0, maxError: null });
+}
+
+/**
+ * Combine error sums
+ */
+function combineSums(sums) {
+    return sums.reduce((total, day) => ({
+        count: total.count + day.count,
+        sum: total.sum + day.sum,
+        sumSquares: total.sumSquares + day.sumSquares,
+        maxError: day.maxError !== null && Math.abs(day.maxError) > Math.abs(total.maxError || 0) ? day.maxError : total.maxError
+    }), { count: 0, sum: 0, sumSquares: 0, maxError: null });
+}
+
+/**
+ * Turn error sums into statistics: { count, bias, rms, maxDeviation } (null values without data)
+ * Positive bias means the water ran higher than predicted
+ */
+function toStats(sums) {
+    if (sums.count === 0) {
+        return { count: 0, bias: null, rms: null, maxDeviation: null };
+    }
+
+    return {
+        count: sums.count,
+        bias: sums.sum / sums.count,
+        rms: Math.sqrt(sums.sumSquares / sums.count),
+        maxDeviation: sums.maxError
+    };
+}
+
+/**
+ * Compare predicted access windows with the windows the observations actually gave
+ * Only windows with predicted crossings at both ends, inside the observed period, are compared
+ * Returns [{ predicted, startShiftMinutes, endShiftMinutes, opened }]; shifts are observed minus predicted
+ * (positive = later), and `opened` is false when the tide never reached the threshold
+ */
+function compareWindows(predictionSeries, pairs, criteria) {
+    if (predictionSeries.length === 0 || pairs.length === 0) return [];
+
+    const seriesStart = predictionSeries[0].time;
+    const seriesEnd = predictionSeries[predictionSeries.length - 1].time;
+    const observedStart = pairs[0].time;
+    const observedEnd = pairs[pairs.length - 1].time;
+    const matchMs = WINDOW_MATCH_MINUTES * 60 * 1000;
+
+    const observedSeries = pairs.map(pair => ({ time: pair.time, prediction: pair.observation }));
+    const observedWindows = window.TideCalc.findAccessWindows(observedSeries, criteria);
+
+    return window.TideCalc.findAccessWindows(predictionSeries, criteria)
+        .filter(predicted => predicted.start > seriesStart && predicted.end < seriesEnd &&
+            predicted.start - matchMs >= observedStart && predicted.end.getTime() + matchMs <= observedEnd)
+        .map(predicted => {
+            const matches = observedWindows.filter(observed =>
+                observed.end.getTime() + matchMs >= predicted.start && observed.start - matchMs <= predicted.end);
+
+            if (matches.length === 0) {
+                return { predicted, startShiftMinutes: null, endShiftMinutes: null, opened: false };
+            }
+
+            const start = Math.min(...matches.map(observed => observed.start.getTime()));
+            const end = Math.max(...matches.map(observed => observed.end.getTime()));
+
+            return {
+                predicted,
+                startShiftMinutes: Math.round((start - predicted.start) / 60000),
+                endShiftMinutes: Math.round((end - predicted.end) / 60000),
+                opened: true
+            };
+        });
+}
+
+/**
+ * Summarize window shifts: { compared, missed, maxShiftMinutes, meanShiftMinutes } (absolute minutes)
+ */
+function summarizeShifts(windows) {
+    const opened = windows.filter(entry => entry.opened);
+    const shifts = opened.flatMap(entry => [Math.abs(entry.startShiftMinutes), Math.abs(entry.endShiftMinutes)]);
+
+    return {
+        compared: windows.length,
+        missed: windows.length - opened.length,
+        maxShiftMinutes: shifts.length > 0 ? Math.max(...shifts) : null,
+        meanShiftMinutes: shifts.length > 0 ? Math.round(shifts.reduce((a, b) => a + b, 0) / shifts.length) : null
+    };
+}
+
+/**
+ * Compute prediction accuracy per station day and over the whole range
+ * `dayStarts` are station-day midnights; predictions and observations are DFO entries
+ * covering them. Windows count toward the day their predicted opening falls on
+ * Returns { days: [{ date, stats, rolling, windows, shifts }], overall: { stats, shifts } }
+ */
+function analyzeAccuracy(dayStarts, predictions, observations, criteria) {
+    const predictionSeries = window.TideCalc.toPredictionSeries(predictions);
+    const pairs = pairObservations(predictionSeries, observations);
+    const windows = compareWindows(predictionSeries, pairs, criteria);
+    const dailySums = [];
+
+    const days = dayStarts.map((dayStart, index) => {
+        const dayEnd = window.TideTime.addDays(dayStart, 1);
+        const sums = sumErrors(pairs.filter(pair => pair.time >= dayStart && pair.time < dayEnd));
+        const dayWindows = windows.filter(entry => entry.predicted.start >= dayStart && entry.predicted.start < dayEnd);
+
+        dailySums.push(sums);
+
+        return {
+            date: dayStart,
+            stats: toStats(sums),
+            rolling: toStats(combineSums(dailySums.slice(Math.max(0, index - ROLLING_DAYS + 1)))),
+            windows: dayWindows,
+            shifts: summarizeShifts(dayWindows)
+        };
+    });
+
+    return {
+        days,
+        overall: {
+            stats: toStats(combineSums(dailySums)),
+            shifts: summarizeShifts(windows)
+        }
+    };
+}
+
+// Export functions
+window.TideAccuracy = {
+    analyzeAccuracy,
+    ROLLING_DAYS
+};
@@ -0,0 +1,183 @@
+/**
+ * Access window alerts
+ * Browser notifications and an in-page alarm a lead time before windows open or close
+ */
+
+const DEFAULT_ALERT_SETTINGS = {
+    enabled: false,
+    openLeadMinutes: 30,
+    closeLeadMinutes: 30,
+    sound: true
+};
+
+let alertSettings = loadAlertSettings();
+let alertTimers = [];
+let audioContext = null;
+
+// Alerts already shown ({ type, time }), so rescheduling after a refresh does not repeat them
+const firedAlerts = [];
+
+// A refresh (or the adjusted forecast) can move a crossing slightly; within this it is the same alert
+const ALERT_DRIFT_MINUTES = 10;
+
+/**
+ * Load alert settings from preferences
+ */
+function loadAlertSettings() {
+    return { ...DEFAULT_ALERT_SETTINGS, ...window.TidePreferences.getPreference('alerts') };
+}
+
+/**
+ * Get the current alert settings
+ */
+function getAlertSettings() {
+    return { ...alertSettings };
+}
+
+/**
+ * Update and persist alert settings
+ */
+function saveAlertSettings(changes) {
+    alertSettings = { ...alertSettings, ...changes };
+    window.TidePreferences.savePreferences({ alerts: alertSettings });
+}
+
+/**
+ * Create or resume the audio context (browsers require a user gesture)
+ */
+function unlockAudio() {
+    if (!audioContext && (window.AudioContext || window.webkitAudioContext)) {
+        audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    if (audioContext && audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+}
+
+/**
+ * Ask for notification permission and unlock audio (call from a user gesture)
+ * Resolves to the permission state, or 'unsupported'
+ */
+async function enableAlerts() {
+    unlockAudio();
+
+    if (!('Notification' in window)) {
+        return 'unsupported';
+    }
+    if (Notification.permission === 'default') {
+        return Notification.requestPermission();
+    }
+    return Notification.permission;
+}
+
+/**
+ * Check whether an alert for about the same event has already been shown
+ */
+function hasFired(event) {
+    return firedAlerts.some(fired => fired.type === event.type &&
+        Math.abs(fired.time - event.time) <= ALERT_DRIFT_MINUTES * 60 * 1000);
+}
+
+/**
+ * Schedule alerts for upcoming window openings and closings, replacing any scheduled before
+ * Alerts whose lead time has already passed fire immediately (once) if the event is still ahead
+ * Window edges that are only the end of the data (`clippedStart` / `clippedEnd`) are skipped
+ * onAlert receives { type, window, message } for the in-page alarm
+ */
+function scheduleAlerts(windows, onAlert, currentTime) {
+    alertTimers.forEach(timer => clearTimeout(timer));
+    alertTimers = [];
+
+    if (!alertSettings.enabled) return;
+
+    const now = currentTime || window.TideClock.now();
+    const events = [];
+
+    windows.forEach(window => {
+        if (!window.clippedStart) {
+            events.push({ type: 'opening', window, time: window.start, leadMinutes: alertSettings.openLeadMinutes });
+        }
+        if (!window.clippedEnd) {
+            events.push({ type: 'closing', window, time: window.end, leadMinutes: alertSettings.closeLeadMinutes });
+        }
+    });
+
+    events.forEach(event => {
+        if (event.time <= now || hasFired(event)) return;
+
+        const delay = Math.max(0, window.TideClock.toRealDelay(event.time - now - event.leadMinutes * 60 * 1000));
+
+        alertTimers.push(setTimeout(() => {
+            firedAlerts.push({ type: event.type, time: event.time });
+            fireAlert(event, onAlert);
+        }, delay));
+    });
+}
+
+/**
+ * Show a notification, sound the alarm and pass the alert to the page
+ */
+function fireAlert(event, onAlert) {
+    const minutes = Math.max(0, Math.round((event.time - window.TideClock.now()) / 60000));
+    const timeStr = window.TideTime.formatTime(event.time);
+    const message = window.TideI18n.t(event.type === 'closing' ? 'notification.closing' : 'notification.opening',
+        { minutes, time: timeStr });
+
+    showNotification(message);
+    if (alertSettings.sound) playAlarm();
+    if (onAlert) onAlert({ type: event.type, window: event.window, message });
+}
+
+/**
+ * Show a system notification (through the service worker when available, for mobile support)
+ */
+async function showNotification(message) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+    const options = { body: message, icon: 'icons/icon.svg', tag: 'shady-times-alert', renotify: true };
+
+    try {
+        const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+
+        if (registration) {
+            await registration.showNotification(window.TideI18n.t('app.title'), options);
+        } else {
+            new Notification(window.TideI18n.t('app.title'), options);
+        }
+    } catch (error) {
+        console.error('Error showing notification:', error);
+    }
+}
+
+/**
+ * Play a short repeating beep with Web Audio
+ */
+function playAlarm() {
+    if (!audioContext) return;
+
+    const start = audioContext.currentTime;
+
+    for (let i = 0; i < 3; i++) {
+        const oscillator = audioContext.createOscillator();
+        const gain = audioContext.createGain();
+
+        oscillator.type = 'square';
+        oscillator.frequency.value = 880;
+        gain.gain.value = 0.2;
+        oscillator.connect(gain);
+        gain.connect(audioContext.destination);
+
+        oscillator.start(start + i * 0.5);
+        oscillator.stop(start + i * 0.5 + 0.25);
+    }
+}
+
+// Export functions
+window.TideAlerts = {
+    getAlertSettings,
+    saveAlertSettings,
+    enableAlerts,
+    unlockAudio,
+    scheduleAlerts,
+    playAlarm
+};
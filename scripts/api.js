@@ -1,158 +1,310 @@
 /**
- * DFO API Client with caching
- * Handles fetching tide predictions and observations
+ * Tide API Client with caching
+ * Handles fetching tide predictions and observations through the active data provider
+ * Stale cached data is served immediately and revalidated in the background
+ * Downloads are shared by concurrent callers and can be cancelled with an AbortSignal
  */
 
-const API_BASE_URL = 'https://api-iwls.dfo-mpo.gc.ca/api/v1/stations';
-const STATION_ID = '5cebf1e13d0f4a073c4bbf8c'; // Steveston BC
-
 // Cache configuration
 const CACHE_DURATION = {
     predictions: 24 * 60 * 60 * 1000, // 24 hours
     observations: 15 * 60 * 1000       // 15 minutes
 };
 
-// Cache storage
+// How long persisted entries are kept for offline use
+const CACHE_RETENTION = 14 * 24 * 60 * 60 * 1000; // 14 days
+
+// Days fetched at once for a range (two requests each), to stay clear of DFO rate limits
+const RANGE_BATCH_DAYS = 3;
+
+// In-memory cache, backed by the persistent TideStore
 const cache = {
     predictions: new Map(),
     observations: new Map()
 };
 
+// Cache keys with a background refresh in flight
+const revalidating = new Set();
+
+// Downloads in flight keyed by kind and cache key ({ promise, controller, waiting })
+const inFlight = new Map();
+
+// Entries fetched before these times are treated as expired
+const cacheInvalidatedAt = {
+    predictions: 0,
+    observations: 0
+};
+
 /**
- * Generate cache key from date
+ * Generate cache key from station and date (the station's calendar date)
  */
-function getCacheKey(date) {
-    return date.toISOString().split('T')[0]; // YYYY-MM-DD
+function getCacheKey(stationId, date) {
+    return `${stationId}:${window.TideTime.dateKey(date)}`; // station:YYYY-MM-DD
 }
 
 /**
  * Check if cached data is still valid
  */
-function isCacheValid(cacheEntry, maxAge) {
+function isCacheValid(kind, cacheEntry) {
     if (!cacheEntry) return false;
+    if (cacheEntry.timestamp < cacheInvalidatedAt[kind]) return false;
     const age = Date.now() - cacheEntry.timestamp;
-    return age < maxAge;
+    return age < CACHE_DURATION[kind];
 }
 
 /**
- * Fetch tide predictions for a given date
+ * Download a time series for a given date from the active provider and cache it
+ * The range covers the station day (23 or 25 hours across DST changes)
  */
-async function fetchPredictions(date) {
-    const cacheKey = getCacheKey(date);
-    const cached = cache.predictions.get(cacheKey);
+async function downloadSeries(kind, seriesCode, date, stationId, signal) {
+    const provider = window.TideProviders.getActiveProvider();
+    const station = window.TideStations.getStation(stationId);
+    const fromDate = window.TideTime.startOfDay(date);
+    const toDate = new Date(window.TideTime.addDays(fromDate, 1).getTime() - 1);
+
+    const entry = {
+        timestamp: Date.now(),
+        data: await provider.fetchSeries(station, seriesCode, fromDate, toDate, signal)
+    };
 
-    if (isCacheValid(cached, CACHE_DURATION.predictions)) {
-        return cached.data;
+    // Cache the result
+    const cacheKey = getCacheKey(stationId, date);
+    cache[kind].set(cacheKey, entry);
+    if (provider.persist) {
+        await window.TideStore.setEntry(kind, cacheKey, entry);
     }
 
-    const fromDate = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, 0, 0, 0);
-    const toDate = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+    return entry;
+}
 
-    const url = `${API_BASE_URL}/${STATION_ID}/data?time-series-code=wlp&from=${fromDate.toISOString()}&to=${toDate.toISOString()}`;
+/**
+ * Download a series once for all concurrent callers
+ * The download is only cancelled once every caller waiting on it has aborted
+ */
+function sharedDownload(kind, seriesCode, date, stationId, signal) {
+    const key = `${kind}:${getCacheKey(stationId, date)}`;
+    let request = inFlight.get(key);
 
-    try {
-        const response = await fetch(url);
+    if (!request) {
+        const controller = new AbortController();
+        request = { controller, waiting: 0 };
+        request.promise = downloadSeries(kind, seriesCode, date, stationId, controller.signal)
+            .finally(() => {
+                if (inFlight.get(key) === request) inFlight.delete(key);
+            });
+        inFlight.set(key, request);
+    }
 
-        if (!response.ok) {
-            throw new Error(`API Error: ${response.status} ${response.statusText}`);
-        }
+    request.waiting++;
 
-        const data = await response.json();
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            request.waiting--;
+            if (request.waiting === 0) {
+                // Nobody needs it any more; later callers start a fresh download
+                inFlight.delete(key);
+                request.controller.abort();
+            }
+            reject(window.TideHttp.createAbortError());
+        };
 
-        // Cache the result
-        cache.predictions.set(cacheKey, {
-            timestamp: Date.now(),
-            data: data
-        });
+        request.promise
+            .then(resolve, reject)
+            .finally(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+            });
 
-        return data;
-    } catch (error) {
-        console.error('Error fetching predictions:', error);
-        throw error;
-    }
+        if (signal && signal.aborted) {
+            onAbort();
+        } else if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
 }
 
 /**
- * Fetch tide observations for a given date
+ * Refresh a stale cache entry in the background and announce the outcome
  */
-async function fetchObservations(date) {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+function revalidateSeries(kind, seriesCode, date, stationId, staleEntry) {
+    const revalidationKey = `${kind}:${getCacheKey(stationId, date)}`;
+    if (revalidating.has(revalidationKey)) return;
 
-    const dateToCheck = new Date(date);
-    dateToCheck.setHours(0, 0, 0, 0);
+    revalidating.add(revalidationKey);
 
-    // Only fetch observations for past/current dates
-    if (dateToCheck > today) {
-        return [];
-    }
+    sharedDownload(kind, seriesCode, date, stationId)
+        .then(() => {
+            window.dispatchEvent(new CustomEvent('tidedata:revalidated', {
+                detail: { kind, stationId }
+            }));
+        })
+        .catch(error => {
+            console.error(`Error revalidating ${kind}:`, error);
+            window.dispatchEvent(new CustomEvent('tidedata:offline', {
+                detail: { kind, stationId, timestamp: staleEntry.timestamp }
+            }));
+        })
+        .finally(() => revalidating.delete(revalidationKey));
+}
 
-    const cacheKey = getCacheKey(date);
-    const cached = cache.observations.get(cacheKey);
+/**
+ * Load a time series, serving stale cached data while revalidating
+ * Resolves to a cache entry ({ timestamp, data }) flagged `stale` when served from an expired cache
+ */
+async function loadSeries(kind, seriesCode, date, stationId, signal) {
+    const cacheKey = getCacheKey(stationId, date);
+    let cached = cache[kind].get(cacheKey);
 
-    if (isCacheValid(cached, CACHE_DURATION.observations)) {
-        return cached.data;
+    if (!cached && window.TideProviders.getActiveProvider().persist) {
+        cached = await window.TideStore.getEntry(kind, cacheKey);
+        if (cached) cache[kind].set(cacheKey, cached);
     }
 
-    const fromDate = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, 0, 0, 0);
-    const toDate = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+    if (isCacheValid(kind, cached)) {
+        return { ...cached, stale: false };
+    }
 
-    const url = `${API_BASE_URL}/${STATION_ID}/data?time-series-code=wlo&from=${fromDate.toISOString()}&to=${toDate.toISOString()}`;
+    if (cached) {
+        revalidateSeries(kind, seriesCode, date, stationId, cached);
+        return { ...cached, stale: true };
+    }
 
     try {
-        const response = await fetch(url);
+        const entry = await sharedDownload(kind, seriesCode, date, stationId, signal);
+        return { ...entry, stale: false };
+    } catch (error) {
+        if (!window.TideHttp.isAbortError(error)) console.error(`Error fetching ${kind}:`, error);
+        throw error;
+    }
+}
 
-        if (!response.ok) {
-            throw new Error(`API Error: ${response.status} ${response.statusText}`);
-        }
+/**
+ * Check whether observations exist for a date (past or current station day only)
+ */
+function hasObservations(date) {
+    return window.TideTime.dateKey(date) <= window.TideTime.dateKey(window.TideClock.now());
+}
 
-        const data = await response.json();
+/**
+ * Drop observations after the current time (recorded days replayed in demo mode)
+ */
+function observedByNow(observations) {
+    const now = window.TideClock.now();
+    return observations.filter(entry => new Date(entry.eventDate) <= now);
+}
 
-        // Cache the result
-        cache.observations.set(cacheKey, {
-            timestamp: Date.now(),
-            data: data
-        });
+/**
+ * Fetch tide predictions for a given date and station
+ * options: { signal } to cancel the request
+ */
+async function fetchPredictions(date, stationId = window.TideStations.DEFAULT_STATION_ID, options = {}) {
+    const entry = await loadSeries('predictions', 'wlp', date, stationId, options.signal);
+    return entry.data;
+}
 
-        return data;
-    } catch (error) {
-        console.error('Error fetching observations:', error);
-        throw error;
+/**
+ * Fetch tide observations for a given date and station
+ * options: { signal } to cancel the request
+ */
+async function fetchObservations(date, stationId = window.TideStations.DEFAULT_STATION_ID, options = {}) {
+    if (!hasObservations(date)) {
+        return [];
     }
+
+    const entry = await loadSeries('observations', 'wlo', date, stationId, options.signal);
+    return observedByNow(entry.data);
 }
 
 /**
- * Fetch both predictions and observations for a given date
+ * Fetch both predictions and observations for a given date and station
+ * `fetchedAt` is when the oldest data served was downloaded (from memory, storage or the network);
+ * `cachedAt` is the oldest timestamp of any stale cached data served, or null
+ * options: { signal } to cancel the request (rejects with an AbortError)
  */
-async function fetchTideData(date) {
+async function fetchTideData(date, stationId = window.TideStations.DEFAULT_STATION_ID, options = {}) {
     try {
         const [predictions, observations] = await Promise.all([
-            fetchPredictions(date),
-            fetchObservations(date)
+            loadSeries('predictions', 'wlp', date, stationId, options.signal),
+            hasObservations(date)
+                ? loadSeries('observations', 'wlo', date, stationId, options.signal)
+                : { timestamp: null, data: [], stale: false } // Nothing to download for future days
         ]);
 
+        const served = [predictions, observations].filter(entry => entry.timestamp !== null);
+        const staleTimestamps = served
+            .filter(entry => entry.stale)
+            .map(entry => entry.timestamp);
+
         return {
-            predictions,
-            observations
+            predictions: predictions.data,
+            observations: observedByNow(observations.data),
+            fetchedAt: new Date(Math.min(...served.map(entry => entry.timestamp))),
+            cachedAt: staleTimestamps.length > 0 ? new Date(Math.min(...staleTimestamps)) : null
         };
     } catch (error) {
-        console.error('Error fetching tide data:', error);
+        if (!window.TideHttp.isAbortError(error)) console.error('Error fetching tide data:', error);
         throw error;
     }
 }
 
 /**
- * Clear all cached data
+ * Fetch predictions and observations for consecutive station days starting at a date
+ * Days are fetched RANGE_BATCH_DAYS at a time; series are concatenated in time order
+ * `fetchedAt` is when the oldest data served was downloaded; `cachedAt` is the oldest stale timestamp served, or null
+ * options: { signal } to cancel the request (rejects with an AbortError)
  */
-function clearCache() {
+async function fetchTideRange(startDate, days, stationId = window.TideStations.DEFAULT_STATION_ID, options = {}) {
+    const firstNoon = window.TideTime.noonOf(startDate);
+    const results = [];
+
+    for (let batchStart = 0; batchStart < days; batchStart += RANGE_BATCH_DAYS) {
+        const batch = [];
+        for (let i = batchStart; i < Math.min(days, batchStart + RANGE_BATCH_DAYS); i++) {
+            batch.push(fetchTideData(window.TideTime.addDays(firstNoon, i), stationId, options));
+        }
+        results.push(...await Promise.all(batch));
+    }
+
+    const cachedTimes = results.filter(result => result.cachedAt).map(result => result.cachedAt.getTime());
+
+    return {
+        predictions: results.flatMap(result => result.predictions),
+        observations: results.flatMap(result => result.observations),
+        fetchedAt: new Date(Math.min(...results.map(result => result.fetchedAt.getTime()))),
+        cachedAt: cachedTimes.length > 0 ? new Date(Math.min(...cachedTimes)) : null
+    };
+}
+
+/**
+ * Expire cached data so the next fetch revalidates it: one kind ('predictions' or
+ * 'observations') or, by default, everything
+ * Entries stay in storage so they can still be served if the network fails
+ */
+function invalidateCache(kind) {
+    const kinds = kind ? [kind] : Object.keys(cacheInvalidatedAt);
+    kinds.forEach(name => {
+        cacheInvalidatedAt[name] = Date.now();
+    });
+}
+
+/**
+ * Clear all cached data, including the persistent cache
+ */
+async function clearCache() {
     cache.predictions.clear();
     cache.observations.clear();
+    await window.TideStore.clearAll();
 }
 
+// Drop persisted entries that are too old to be useful offline
+window.TideStore.pruneEntries('predictions', CACHE_RETENTION);
+window.TideStore.pruneEntries('observations', CACHE_RETENTION);
+
 // Export functions
 window.TideAPI = {
     fetchTideData,
+    fetchTideRange,
     fetchPredictions,
     fetchObservations,
+    invalidateCache,
     clearCache
 };
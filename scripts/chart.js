@@ -0,0 +1,216 @@
+/**
+ * Tide Chart - SVG tide curve for the selected day
+ * Shows predictions, observations, the access threshold, access windows and a "now" marker
+ */
+
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 260;
+const CHART_PADDING = { top: 16, right: 16, bottom: 32, left: 56 };
+
+/**
+ * Render the tide chart into a container
+ * options: { series, adjustedSeries, observations, windows, criteria, unit, now, dayStart, dayEnd }
+ * `adjustedSeries` (optional) is drawn as a dashed observation-corrected curve
+ */
+function renderChart(container, options) {
+    const { series, adjustedSeries, observations, windows, criteria, unit, now, dayStart, dayEnd } = options;
+
+    if (series.length === 0) {
+        container.innerHTML = `<p class="no-windows">${window.TideI18n.t('chart.noData')}</p>`;
+        return;
+    }
+
+    const heights = series.concat(adjustedSeries || []).map(entry => entry.prediction)
+        .concat(observations.map(entry => entry.observation), criteria.threshold);
+    const scale = createScale(dayStart, dayEnd, Math.min(...heights), Math.max(...heights));
+
+    let svg = `<svg class="tide-chart-svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${window.TideI18n.t('chart.label')}">`;
+    svg += renderWindows(windows, scale, dayStart, dayEnd);
+    svg += renderAxes(scale, unit, dayStart, dayEnd);
+    svg += renderThreshold(criteria.threshold, scale, unit);
+    svg += `<path class="chart-prediction" d="${buildPath(series, scale)}"/>`;
+    if (adjustedSeries) {
+        svg += `<path class="chart-adjusted" d="${buildPath(adjustedSeries, scale)}"/>`;
+    }
+    svg += observations
+        .map(entry => `<circle class="chart-observation${entry.observationSuspect ? ' chart-observation-suspect' : ''}" cx="${scale.x(entry.time)}" cy="${scale.y(entry.observation)}" r="2.5"/>`)
+        .join('');
+
+    if (now && now >= dayStart && now < dayEnd) {
+        svg += `<line class="chart-now" x1="${scale.x(now)}" x2="${scale.x(now)}" y1="${CHART_PADDING.top}" y2="${CHART_HEIGHT - CHART_PADDING.bottom}"/>`;
+    }
+
+    svg += `<line class="chart-cursor" y1="${CHART_PADDING.top}" y2="${CHART_HEIGHT - CHART_PADDING.bottom}" visibility="hidden"/>`;
+    svg += '<circle class="chart-cursor-point" r="5" visibility="hidden"/>';
+    svg += '</svg>';
+
+    container.innerHTML = `${svg}<p class="chart-readout">${window.TideI18n.t('chart.hint')}</p>`;
+    attachPointerEvents(container, { series, adjustedSeries, observations, unit, scale, dayStart, dayEnd });
+}
+
+/**
+ * Create time/height to pixel scales (with inverse time scale for pointer input)
+ */
+function createScale(dayStart, dayEnd, minHeight, maxHeight) {
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const padding = (maxHeight - minHeight) * 0.1 || 0.5;
+    const low = minHeight - padding;
+    const high = maxHeight + padding;
+
+    return {
+        low,
+        high,
+        x: time => CHART_PADDING.left + ((time - dayStart) / (dayEnd - dayStart)) * plotWidth,
+        y: height => CHART_PADDING.top + ((high - height) / (high - low)) * plotHeight,
+        time: x => new Date(dayStart.getTime() + ((x - CHART_PADDING.left) / plotWidth) * (dayEnd - dayStart))
+    };
+}
+
+/**
+ * Build the SVG path for the prediction curve
+ */
+function buildPath(series, scale) {
+    return series
+        .map((entry, index) => `${index === 0 ? 'M' : 'L'}${scale.x(entry.time).toFixed(1)},${scale.y(entry.prediction).toFixed(1)}`)
+        .join(' ');
+}
+
+/**
+ * Shade access windows, clipped to the day
+ */
+function renderWindows(windows, scale, dayStart, dayEnd) {
+    return windows.map(window => {
+        const start = window.start < dayStart ? dayStart : window.start;
+        const end = window.end > dayEnd ? dayEnd : window.end;
+        const x = scale.x(start);
+
+        return `<rect class="chart-window" x="${x}" y="${CHART_PADDING.top}" width="${Math.max(0, scale.x(end) - x)}" height="${CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom}"/>`;
+    }).join('');
+}
+
+/**
+ * Draw time gridlines every 3 hours and height labels
+ */
+function renderAxes(scale, unit, dayStart, dayEnd) {
+    let svg = '';
+
+    for (let hour = 0; hour <= 24; hour += 3) {
+        const time = new Date(dayStart.getTime() + hour * 60 * 60 * 1000);
+        if (time > dayEnd) break;
+
+        const x = scale.x(time);
+        const label = window.TideTime.formatTime(time, { hour: 'numeric' });
+        svg += `<line class="chart-grid" x1="${x}" x2="${x}" y1="${CHART_PADDING.top}" y2="${CHART_HEIGHT - CHART_PADDING.bottom}"/>`;
+        svg += `<text class="chart-label" x="${x}" y="${CHART_HEIGHT - 10}" text-anchor="middle">${label}</text>`;
+    }
+
+    const step = (scale.high - scale.low) / 4;
+    for (let i = 0; i <= 4; i++) {
+        const height = scale.low + step * i;
+        const y = scale.y(height);
+        svg += `<text class="chart-label" x="${CHART_PADDING.left - 6}" y="${y + 4}" text-anchor="end">${window.TideCalc.formatHeight(height, unit)}</text>`;
+    }
+
+    return svg;
+}
+
+/**
+ * Draw the access threshold line
+ */
+function renderThreshold(threshold, scale, unit) {
+    const y = scale.y(threshold);
+
+    return `<line class="chart-threshold" x1="${CHART_PADDING.left}" x2="${CHART_WIDTH - CHART_PADDING.right}" y1="${y}" y2="${y}"/>` +
+        `<text class="chart-threshold-label" x="${CHART_WIDTH - CHART_PADDING.right - 4}" y="${y - 4}" text-anchor="end">${window.TideCalc.formatHeight(threshold, unit)}</text>`;
+}
+
+/**
+ * Interpolate the predicted height at a time
+ */
+function predictionAt(series, time) {
+    if (time <= series[0].time) return series[0].prediction;
+
+    for (let i = 1; i < series.length; i++) {
+        if (series[i].time >= time) {
+            const before = series[i - 1];
+            const after = series[i];
+            const fraction = (time - before.time) / (after.time - before.time);
+            return before.prediction + fraction * (after.prediction - before.prediction);
+        }
+    }
+
+    return series[series.length - 1].prediction;
+}
+
+/**
+ * Find the observation closest to a time (within 15 minutes)
+ */
+function observationAt(observations, time) {
+    let closest = null;
+    let minDiff = 15 * 60 * 1000;
+
+    for (const entry of observations) {
+        const diff = Math.abs(entry.time - time);
+        if (diff <= minDiff) {
+            minDiff = diff;
+            closest = entry;
+        }
+    }
+
+    return closest;
+}
+
+/**
+ * Read the tide under the pointer on tap and drag
+ */
+function attachPointerEvents(container, state) {
+    const svg = container.querySelector('svg');
+    const cursor = svg.querySelector('.chart-cursor');
+    const cursorPoint = svg.querySelector('.chart-cursor-point');
+    const readout = container.querySelector('.chart-readout');
+
+    const update = event => {
+        const rect = svg.getBoundingClientRect();
+        const x = ((event.clientX - rect.left) / rect.width) * CHART_WIDTH;
+        const time = state.scale.time(Math.min(Math.max(x, CHART_PADDING.left), CHART_WIDTH - CHART_PADDING.right));
+        const clampedTime = time > state.dayEnd ? state.dayEnd : time;
+        const prediction = predictionAt(state.series, clampedTime);
+        const observation = observationAt(state.observations, clampedTime);
+        const cursorX = state.scale.x(clampedTime);
+
+        cursor.setAttribute('x1', cursorX);
+        cursor.setAttribute('x2', cursorX);
+        cursor.setAttribute('visibility', 'visible');
+        cursorPoint.setAttribute('cx', cursorX);
+        cursorPoint.setAttribute('cy', state.scale.y(prediction));
+        cursorPoint.setAttribute('visibility', 'visible');
+
+        const timeStr = window.TideTime.formatTime(clampedTime);
+        const formatHeight = height => window.TideCalc.formatHeight(height, state.unit);
+        let text = `${timeStr} - ${window.TideI18n.t('chart.predicted', { height: formatHeight(prediction) })}`;
+        if (state.adjustedSeries) {
+            text += ` · ${window.TideI18n.t('chart.adjusted', { height: formatHeight(predictionAt(state.adjustedSeries, clampedTime)) })}`;
+        }
+        if (observation) {
+            text += ` · ${window.TideI18n.t('chart.observed', { height: formatHeight(observation.observation) })}`;
+        }
+        readout.textContent = text;
+    };
+
+    svg.addEventListener('pointerdown', event => {
+        svg.setPointerCapture(event.pointerId);
+        update(event);
+    });
+    svg.addEventListener('pointermove', event => {
+        // Follow the mouse on hover, touch only while dragging
+        if (event.pointerType === 'mouse' || svg.hasPointerCapture(event.pointerId)) {
+            update(event);
+        }
+    });
+}
+
+// Export functions
+window.TideChart = {
+    renderChart
+};
@@ -0,0 +1,58 @@
+/**
+ * App clock
+ * Real time normally; in demo mode a simulated clock that replays a day at accelerated speed
+ */
+
+const DEFAULT_DEMO_SPEED = 60; // One simulated hour per real minute
+
+let simulation = null; // { realStart, simulatedStart, speed } while in demo mode
+
+/**
+ * Start the simulated clock at a time, running `speed` times faster than real time
+ */
+function startSimulation(simulatedStart, speed = DEFAULT_DEMO_SPEED) {
+    simulation = {
+        realStart: Date.now(),
+        simulatedStart: simulatedStart.getTime(),
+        speed: speed > 0 ? speed : DEFAULT_DEMO_SPEED
+    };
+}
+
+/**
+ * Check whether the simulated clock is running
+ */
+function isSimulated() {
+    return simulation !== null;
+}
+
+/**
+ * Get the simulation speed (1 for real time)
+ */
+function getSpeed() {
+    return simulation ? simulation.speed : 1;
+}
+
+/**
+ * Get the current time (simulated in demo mode)
+ */
+function now() {
+    if (!simulation) return new Date();
+    return new Date(simulation.simulatedStart + (Date.now() - simulation.realStart) * simulation.speed);
+}
+
+/**
+ * Convert a clock duration to real milliseconds for timers
+ */
+function toRealDelay(ms) {
+    return ms / getSpeed();
+}
+
+// Export functions
+window.TideClock = {
+    startSimulation,
+    isSimulated,
+    getSpeed,
+    now,
+    toRealDelay,
+    DEFAULT_DEMO_SPEED
+};
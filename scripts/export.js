@@ -0,0 +1,97 @@
+/**
+ * Tide series export
+ * The merged 15-minute series as CSV or JSON for trip logs and spreadsheets
+ */
+
+// Decimal places per unit (DFO reports heights to the centimetre)
+const EXPORT_DIGITS = {
+    meters: 3,
+    feet: 2
+};
+
+const UNIT_SUFFIXES = {
+    meters: 'm',
+    feet: 'ft'
+};
+
+/**
+ * Format a date as ISO 8601 in the station zone with its UTC offset, e.g. 2026-07-01T14:15:00-07:00
+ */
+function formatIsoWithOffset(date) {
+    const parts = window.TideTime.getParts(date);
+    const offsetMinutes = Math.round(window.TideTime.getOffset(date) / 60000);
+    const pad = value => String(value).padStart(2, '0');
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const offset = `${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+
+    return `${parts.year}-${pad(parts.month + 1)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}${offset}`;
+}
+
+/**
+ * Convert a height in meters to a rounded number in the export unit (null stays null)
+ */
+function toUnit(meters, unit) {
+    if (meters === null) return null;
+
+    const value = unit === 'feet' ? window.TideCalc.metersToFeet(meters) : meters;
+    return Number(value.toFixed(EXPORT_DIGITS[unit]));
+}
+
+/**
+ * Build export rows from merged tide data
+ * Residual is observed minus predicted, left empty for suspect readings as in the app;
+ * status is whether the prediction gives access: accessible or not-accessible
+ */
+function buildRows(tideData, criteria, unit) {
+    return tideData.map(entry => ({
+        time: formatIsoWithOffset(entry.time),
+        predicted: toUnit(entry.prediction, unit),
+        observed: toUnit(entry.observation, unit),
+        residual: entry.observation === null || entry.observationSuspect
+            ? null
+            : toUnit(entry.observation - entry.prediction, unit),
+        status: window.TideCalc.isAccessible(entry.prediction, criteria) ? 'accessible' : 'not-accessible',
+        qcFlag: entry.observationFlag
+    }));
+}
+
+/**
+ * Build a CSV file (RFC 4180) from merged tide data; empty cells mean no value
+ * options: { criteria, unit }
+ */
+function buildCSV(tideData, options) {
+    const suffix = UNIT_SUFFIXES[options.unit];
+    const header = ['time', `predicted_${suffix}`, `observed_${suffix}`, `residual_${suffix}`, 'status', 'qc_flag'];
+    const lines = buildRows(tideData, options.criteria, options.unit).map(row =>
+        [row.time, row.predicted, row.observed, row.residual, row.status, row.qcFlag]
+            .map(value => (value === null ? '' : String(value)))
+            .join(','));
+
+    return [header.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+/**
+ * Build a JSON file from merged tide data, describing the station, unit and access profile
+ * options: { stationId, stationName, profileName, criteria, unit }
+ */
+function buildJSON(tideData, options) {
+    const exported = {
+        station: { id: options.stationId, name: options.stationName },
+        unit: options.unit,
+        profile: {
+            name: options.profileName,
+            threshold: toUnit(options.criteria.threshold, options.unit),
+            mode: options.criteria.mode
+        },
+        generated: formatIsoWithOffset(new Date()),
+        rows: buildRows(tideData, options.criteria, options.unit)
+    };
+
+    return JSON.stringify(exported, null, 2) + '\n';
+}
+
+// Export functions
+window.TideExport = {
+    buildCSV,
+    buildJSON
+};
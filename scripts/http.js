@@ -0,0 +1,133 @@
+/**
+ * HTTP helpers
+ * JSON requests with a timeout, retries with exponential backoff for transient
+ * failures, and cancellation through an AbortSignal
+ */
+
+// Network request configuration
+const FETCH_TIMEOUT = 15 * 1000;   // Per attempt
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 1000;     // Doubled on each retry
+
+/**
+ * Create the error used when a request is cancelled
+ */
+function createAbortError() {
+    return new DOMException('Request cancelled', 'AbortError');
+}
+
+/**
+ * Check whether an error comes from a cancelled request
+ */
+function isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+}
+
+/**
+ * Wait before a retry, stopping early if the signal aborts
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Fetch a URL, aborting the attempt after FETCH_TIMEOUT or when the signal aborts
+ */
+async function fetchWithTimeout(url, signal) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, FETCH_TIMEOUT);
+
+    if (signal) signal.addEventListener('abort', abort);
+
+    try {
+        return await fetch(url, { signal: controller.signal });
+    } catch (error) {
+        // Report timeouts as failures (retried), not as cancellations
+        if (timedOut) throw new Error(`Request timed out after ${FETCH_TIMEOUT / 1000}s`);
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', abort);
+    }
+}
+
+/**
+ * Check whether a response status is worth retrying (rate limited or server error)
+ */
+function isTransientStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Delay before a retry: the server's Retry-After when given, otherwise exponential backoff with jitter
+ */
+function getRetryDelay(attempt, response) {
+    const retryAfter = response && response.headers ? parseInt(response.headers.get('Retry-After'), 10) : NaN;
+
+    if (!Number.isNaN(retryAfter)) {
+        return retryAfter * 1000;
+    }
+
+    return RETRY_BASE_DELAY * 2 ** attempt * (0.75 + Math.random() * 0.5);
+}
+
+/**
+ * Fetch JSON, retrying network errors, timeouts, 429s and 5xx responses with backoff
+ * Rejects with an AbortError as soon as the signal aborts; HTTP errors carry `status`
+ */
+async function fetchJson(url, signal) {
+    for (let attempt = 0; ; attempt++) {
+        if (signal && signal.aborted) throw createAbortError();
+
+        let response = null;
+
+        try {
+            response = await fetchWithTimeout(url, signal);
+        } catch (error) {
+            if (isAbortError(error) || attempt >= MAX_RETRIES) throw error;
+            console.warn(`Request failed, retrying (${attempt + 1}/${MAX_RETRIES}):`, error.message);
+        }
+
+        if (response) {
+            if (response.ok) {
+                return response.json();
+            }
+            if (!isTransientStatus(response.status) || attempt >= MAX_RETRIES) {
+                const error = new Error(`API Error: ${response.status} ${response.statusText}`);
+                error.status = response.status;
+                throw error;
+            }
+            console.warn(`API Error ${response.status}, retrying (${attempt + 1}/${MAX_RETRIES})`);
+        }
+
+        await wait(getRetryDelay(attempt, response), signal);
+    }
+}
+
+// Export functions
+window.TideHttp = {
+    fetchJson,
+    createAbortError,
+    isAbortError
+};
@@ -0,0 +1,609 @@
+/**
+ * Localization
+ * English and French message catalogs, the display language and locale-aware number formatting
+ */
+
+const SUPPORTED_LANGUAGES = ['en', 'fr'];
+const DEFAULT_LANGUAGE = 'en';
+
+// Intl locale used to format dates and numbers in each language
+const INTL_LOCALES = {
+    en: 'en-CA',
+    fr: 'fr-CA'
+};
+
+// Flat message keys; `{name}` placeholders are filled from params, and
+// `{ one, other }` entries are chosen by the `count` param
+const MESSAGES = {
+    en: {
+        'app.title': 'Shady Island Tides',
+        'app.loading': 'Loading tide data...',
+        'language.switch': 'Français',
+        'language.switchLabel': 'Passer au français',
+
+        'action.retry': 'Retry',
+        'action.close': 'Close',
+        'error.title': 'Error',
+        'error.load': 'Failed to load tide data. Please try again.',
+
+        'settings.open': 'Settings',
+        'settings.title': 'Settings',
+        'settings.display': 'Display',
+        'settings.units': 'Units',
+        'settings.unitsMetric': 'Metric (m)',
+        'settings.unitsImperial': 'Imperial (ft)',
+        'settings.timeFormat': 'Time format',
+        'settings.timeAuto': 'Language default',
+        'settings.time12h': '12-hour (2:30 p.m.)',
+        'settings.time24h': '24-hour (14:30)',
+        'settings.tableRows': 'Tide table rows',
+        'settings.every15': 'Every 15 minutes',
+        'settings.every30': 'Every 30 minutes',
+        'settings.hourly': 'Hourly',
+        'settings.openStation': 'Open at station',
+        'settings.openOn': 'Open on',
+        'settings.openToday': 'Today',
+        'settings.openLast': 'Last viewed date',
+        'settings.profile': 'Access Profile',
+        'settings.forecast': 'Forecast',
+        'settings.adjustedForecast': 'Adjusted forecast - shift future tides by the live gauge\'s difference from predictions (fading over ~12 hours)',
+        'settings.darkWindows': 'Windows in the Dark',
+        'settings.darkShow': 'Show',
+        'settings.darkDim': 'De-emphasize',
+        'settings.darkHide': 'Hide',
+        'settings.alerts': 'Alerts',
+        'settings.alertsEnabled': 'Alert me before access windows open and close',
+        'settings.alertsBeforeOpening': 'Before opening',
+        'settings.alertsBeforeClosing': 'Before closing',
+        'settings.alertsSound': 'Play an alarm sound',
+        'settings.alertsBlocked': 'System notifications are blocked; alerts will only show in this page while it is open.',
+        'settings.minutes': 'min',
+
+        'profile.add': 'Add Profile',
+        'profile.name': 'Profile name',
+        'profile.namePlaceholder': 'Name (e.g. Dry boots)',
+        'profile.mode': 'Accessible when tide is',
+        'profile.below': 'At or below',
+        'profile.above': 'At or above',
+        'profile.height': 'Height',
+        'profile.delete': 'Delete {name}',
+        'profile.weir': 'Weir crossing',
+        'profile.dry-boots': 'Dry boots',
+        'profile.wading': 'Wading',
+        'profile.kayak-launch': 'Kayak launch',
+
+        'export.title': 'Export',
+        'export.from': 'From',
+        'export.to': 'To',
+        'export.format': 'Format',
+        'export.formatIcs': 'Access windows (.ics calendar)',
+        'export.formatCsv': 'Tide series (.csv)',
+        'export.formatJson': 'Tide series (.json)',
+        'export.alarm': 'Alarm',
+        'export.alarmAfter': 'min before each window closes',
+        'export.alarmMinutes': 'Alarm minutes before closing',
+        'export.download': 'Download',
+        'range.order': 'The end date must be on or after the start date.',
+        'range.tooLong': 'Choose at most {days} days at a time.',
+        'export.preparing': 'Preparing export...',
+        'export.done': { one: 'Exported {count} access window.', other: 'Exported {count} access windows.' },
+        'export.rowsDone': { one: 'Exported {count} row.', other: 'Exported {count} rows.' },
+        'export.failed': 'Failed to load tide data for that range. Please try again.',
+
+        'planner.title': 'Best Days',
+        'planner.lookAhead': 'Look ahead',
+        'planner.days7': '7 days',
+        'planner.days14': '14 days',
+        'planner.days30': '30 days',
+        'planner.between': 'Between',
+        'planner.and': 'and',
+        'planner.hours': 'h',
+        'planner.earliest': 'Earliest hour',
+        'planner.latest': 'Latest hour',
+        'planner.atLeast': 'For at least',
+        'planner.minimum': 'Minimum minutes',
+        'planner.weekends': 'Weekends only',
+        'planner.find': 'Find Best Days',
+        'planner.loading': 'Loading predictions...',
+        'planner.failed': 'Failed to load predictions. Please try again.',
+        'planner.none': 'No access windows in that period',
+        'planner.fits': 'Fits your hours',
+        'planner.daylight': 'Daylight access {duration}',
+        'planner.longest': 'Longest {duration}',
+        'planner.highest': 'Highest {height}',
+        'planner.lowest': 'Lowest {height}',
+
+        'trip.title': 'Trip Planner',
+        'trip.open': 'Plan a Trip',
+        'trip.crossing': 'Crossing time each way',
+        'trip.stay': 'Time on the island',
+        'trip.buffer': 'Safety buffer',
+        'trip.leaveCountdown': 'During a window, count down to leaving the island in the header',
+        'trip.depart': 'Leave the car between {earliest} and {latest}',
+        'trip.arrive': 'Earliest arrival: {time}',
+        'trip.mustLeave': 'Leave the island by: {time}',
+        'trip.fits': '✓ Fits, with up to {time} on the island',
+        'trip.tooShort': '✗ Too short: at most {time} on the island',
+        'trip.noTime': '✗ Too short to cross safely',
+        'trip.passed': 'This window has passed.',
+
+        'history.title': 'Prediction Accuracy',
+        'history.open': 'Prediction Accuracy',
+        'history.compare': 'Compare Predictions',
+        'history.future': 'Choose dates up to today; observations only exist for the past.',
+        'history.loading': 'Loading predictions and observations...',
+        'history.failed': 'Failed to load tide data for that range. Please try again.',
+        'history.noData': 'No observations in that period',
+        'history.summary': 'Over {days} days the gauge ran {bias} from predictions on average (RMS error {rms}), and at most {max}.',
+        'history.shifts': 'Access windows opened and closed {mean} from the predicted times on average, and up to {max}.',
+        'history.noWindows': 'No complete access windows to compare.',
+        'history.missed': { one: '{count} predicted window never opened.', other: '{count} predicted windows never opened.' },
+        'history.date': 'Date',
+        'history.bias': 'Bias',
+        'history.rms': 'RMS',
+        'history.max': 'Max',
+        'history.rolling': '{days}-day RMS',
+        'history.shift': 'Window shift',
+
+        'nav.station': 'Station',
+        'nav.selectStation': 'Select station',
+        'nav.previousDay': 'Previous day',
+        'nav.nextDay': 'Next day',
+        'nav.selectDate': 'Select date',
+        'nav.refresh': 'Refresh data',
+        'alert.dismiss': 'Dismiss alert',
+
+        'status.accessible': '✓ Accessible',
+        'status.notAccessible': '✗ Not Accessible',
+        'status.rising': '↑ Rising',
+        'status.falling': '↓ Falling',
+        'status.noWindows': 'No access windows in the next {days} days',
+        'status.closesIn': 'Window closes in {time}',
+        'status.nextAccessIn': 'Next access in {time}',
+        'status.leaveIn': 'Leave island in {time}',
+        'status.leaveNow': 'Leave island now',
+        'status.updated': 'Updated {time}',
+        'observation.live': 'Gauge reading {age} ago',
+        'observation.recent': 'Latest gauge reading {age} ago - status from predictions',
+        'observation.stale': 'Gauge last reported {age} ago - status from predictions',
+        'observation.suspect': 'Latest gauge reading ({age} ago) failed quality control - status from predictions',
+        'observation.none': 'No gauge readings - status from predictions',
+        'forecast.unavailable': 'Adjusted forecast unavailable (no recent observations)',
+        'forecast.offset': 'Adjusted forecast: gauge running {offset} vs predicted',
+        'announce.open': 'Access window open',
+        'announce.openClosing': 'Access window open, closes in {time}',
+        'announce.closed': 'Access window closed',
+        'window.closesInMinutes': 'Access window closes in {minutes} minutes',
+
+        'badge.offline': 'Offline - showing cached data from {time}',
+        'badge.demo': 'Demo mode - replaying {date} at {speed}× speed ({source})',
+        'badge.source': 'Data source: {source}',
+        'provider.dfo': 'DFO-MPO live data',
+        'provider.fixtures': 'Recorded fixtures',
+
+        'summary.high': 'High',
+        'summary.low': 'Low',
+        'summary.sunrise': 'Sunrise',
+        'summary.sunset': 'Sunset',
+        'summary.twilight': 'Twilight',
+
+        'chart.title': 'Tide Chart',
+        'chart.label': 'Tide curve for the selected date',
+        'chart.hint': 'Tap or drag on the chart to read the tide',
+        'chart.noData': 'No tide data for this date',
+        'chart.predicted': 'Predicted {height}',
+        'chart.adjusted': 'Adjusted {height}',
+        'chart.observed': 'Observed {height}',
+
+        'windows.title': 'Access Windows',
+        'windows.addToCalendar': 'Add to Calendar',
+        'windows.none': 'No access windows on this date',
+        'windows.noneHidden': 'No access windows on this date ({count} hidden in the dark)',
+        'windows.hidden': { one: '{count} window in the dark hidden', other: '{count} windows in the dark hidden' },
+        'light.daylight': 'Daylight',
+        'light.twilight': 'Twilight',
+        'light.dark': 'Dark',
+
+        'table.title': 'Tide Schedule (24 Hours)',
+        'table.time': 'Time',
+        'table.prediction': 'Prediction',
+        'table.observation': 'Observation',
+        'table.status': 'Status',
+        'access.accessible': '✓ Accessible',
+        'access.nearThreshold': '✗ No access (near threshold)',
+        'access.notAccessible': '✗ No access',
+        'table.suspect': 'Suspect',
+        'table.missing': 'Missing',
+        'table.export': 'Export Tide Data',
+
+        'legend.title': 'Legend',
+        'legend.accessible': 'Accessible ({meters} / {feet})',
+        'legend.nearThreshold': 'Not Accessible, near threshold (within {meters} / {feet})',
+        'legend.notAccessible': 'Not Accessible ({meters} / {feet})',
+        'legend.noteAbove': 'Darker green = higher tide (deeper water)',
+        'legend.noteBelow': 'Darker green = lower tide (safer access)',
+        'legend.observations': 'Suspect: gauge reading failed DFO quality control · Missing: no gauge reading',
+        'legend.keyboard': 'Keyboard: ← / → previous or next day, T today',
+
+        'units.metric': 'Metric',
+        'units.imperial': 'Imperial',
+        'units.toggleMetric': 'Units: metric. Switch to imperial',
+        'units.toggleImperial': 'Units: imperial. Switch to metric',
+        'units.metersSymbol': 'm',
+        'units.feetSymbol': 'ft',
+        'height.meters': '{value}m',
+        'height.feet': '{feet}\' {inches}"',
+        'duration.daysHours': '{days}d {hours}h',
+        'duration.hoursMinutes': '{hours}h {minutes}m',
+        'duration.minutesSeconds': '{minutes}m {seconds}s',
+        'duration.minutes': '{minutes}m',
+        'duration.seconds': '{seconds}s',
+
+        'notification.closing': 'Access window closes in {minutes} min ({time}) - time to head back',
+        'notification.opening': 'Access window opens in {minutes} min ({time})',
+
+        'ics.summary': '{station} access window',
+        'ics.tideAtStart': 'Tide at start: {height}',
+        'ics.tideAtEnd': 'Tide at end: {height}',
+        'ics.highestTide': 'Highest tide: {height} at {time}',
+        'ics.lowestTide': 'Lowest tide: {height} at {time}',
+        'ics.light': 'Light: {light}',
+        'ics.profile': 'Profile: {name}',
+        'ics.disclaimer': 'Predictions from DFO-MPO. Always check conditions before crossing.',
+
+        'footer.dataFrom': 'Data from',
+        'footer.timeZone': 'Times in Pacific Time (PT/PDT)'
+    },
+    fr: {
+        'app.title': 'Marées de l’île Shady',
+        'app.loading': 'Chargement des marées...',
+        'language.switch': 'English',
+        'language.switchLabel': 'Switch to English',
+
+        'action.retry': 'Réessayer',
+        'action.close': 'Fermer',
+        'error.title': 'Erreur',
+        'error.load': 'Échec du chargement des marées. Veuillez réessayer.',
+
+        'settings.open': 'Paramètres',
+        'settings.title': 'Paramètres',
+        'settings.display': 'Affichage',
+        'settings.units': 'Unités',
+        'settings.unitsMetric': 'Métriques (m)',
+        'settings.unitsImperial': 'Impériales (pi)',
+        'settings.timeFormat': 'Format de l’heure',
+        'settings.timeAuto': 'Selon la langue',
+        'settings.time12h': '12 heures (2 h 30 p.m.)',
+        'settings.time24h': '24 heures (14 h 30)',
+        'settings.tableRows': 'Lignes du tableau des marées',
+        'settings.every15': 'Aux 15 minutes',
+        'settings.every30': 'Aux 30 minutes',
+        'settings.hourly': 'Aux heures',
+        'settings.openStation': 'Station au démarrage',
+        'settings.openOn': 'Date au démarrage',
+        'settings.openToday': 'Aujourd’hui',
+        'settings.openLast': 'Dernière date consultée',
+        'settings.profile': 'Profil d’accès',
+        'settings.forecast': 'Prévision',
+        'settings.adjustedForecast': 'Prévision ajustée - décale les marées à venir selon l’écart entre le marégraphe et les prédictions (s’estompe en ~12 heures)',
+        'settings.darkWindows': 'Fenêtres dans l’obscurité',
+        'settings.darkShow': 'Afficher',
+        'settings.darkDim': 'Atténuer',
+        'settings.darkHide': 'Masquer',
+        'settings.alerts': 'Alertes',
+        'settings.alertsEnabled': 'M’avertir avant l’ouverture et la fermeture des fenêtres d’accès',
+        'settings.alertsBeforeOpening': 'Avant l’ouverture',
+        'settings.alertsBeforeClosing': 'Avant la fermeture',
+        'settings.alertsSound': 'Jouer une alarme sonore',
+        'settings.alertsBlocked': 'Les notifications du système sont bloquées; les alertes s’afficheront seulement dans cette page tant qu’elle est ouverte.',
+        'settings.minutes': 'min',
+
+        'profile.add': 'Ajouter un profil',
+        'profile.name': 'Nom du profil',
+        'profile.namePlaceholder': 'Nom (p. ex. Pieds au sec)',
+        'profile.mode': 'Accessible quand la marée est',
+        'profile.below': 'Égale ou inférieure à',
+        'profile.above': 'Égale ou supérieure à',
+        'profile.height': 'Hauteur',
+        'profile.delete': 'Supprimer {name}',
+        'profile.weir': 'Traversée du déversoir',
+        'profile.dry-boots': 'Pieds au sec',
+        'profile.wading': 'À gué',
+        'profile.kayak-launch': 'Mise à l’eau du kayak',
+
+        'export.title': 'Exporter',
+        'export.from': 'Du',
+        'export.to': 'Au',
+        'export.format': 'Format',
+        'export.formatIcs': 'Fenêtres d’accès (calendrier .ics)',
+        'export.formatCsv': 'Série des marées (.csv)',
+        'export.formatJson': 'Série des marées (.json)',
+        'export.alarm': 'Alarme',
+        'export.alarmAfter': 'min avant la fermeture de chaque fenêtre',
+        'export.alarmMinutes': 'Minutes d’alarme avant la fermeture',
+        'export.download': 'Télécharger',
+        'range.order': 'La date de fin doit être égale ou postérieure à la date de début.',
+        'range.tooLong': 'Choisissez au plus {days} jours à la fois.',
+        'export.preparing': 'Préparation de l’exportation...',
+        'export.done': { one: '{count} fenêtre d’accès exportée.', other: '{count} fenêtres d’accès exportées.' },
+        'export.rowsDone': { one: '{count} ligne exportée.', other: '{count} lignes exportées.' },
+        'export.failed': 'Échec du chargement des marées pour cette période. Veuillez réessayer.',
+
+        'planner.title': 'Meilleures journées',
+        'planner.lookAhead': 'Période',
+        'planner.days7': '7 jours',
+        'planner.days14': '14 jours',
+        'planner.days30': '30 jours',
+        'planner.between': 'Entre',
+        'planner.and': 'et',
+        'planner.hours': 'h',
+        'planner.earliest': 'Heure au plus tôt',
+        'planner.latest': 'Heure au plus tard',
+        'planner.atLeast': 'Pendant au moins',
+        'planner.minimum': 'Minutes minimum',
+        'planner.weekends': 'Fins de semaine seulement',
+        'planner.find': 'Trouver les meilleures journées',
+        'planner.loading': 'Chargement des prédictions...',
+        'planner.failed': 'Échec du chargement des prédictions. Veuillez réessayer.',
+        'planner.none': 'Aucune fenêtre d’accès pendant cette période',
+        'planner.fits': 'Convient à vos heures',
+        'planner.daylight': 'Accès de jour {duration}',
+        'planner.longest': 'Plus longue {duration}',
+        'planner.highest': 'Plus haute {height}',
+        'planner.lowest': 'Plus basse {height}',
+
+        'trip.title': 'Planificateur de sortie',
+        'trip.open': 'Planifier une sortie',
+        'trip.crossing': 'Traversée (chaque sens)',
+        'trip.stay': 'Temps sur l’île',
+        'trip.buffer': 'Marge de sécurité',
+        'trip.leaveCountdown': 'Pendant une fenêtre, afficher dans l’en-tête le temps avant de quitter l’île',
+        'trip.depart': 'Quittez la voiture entre {earliest} et {latest}',
+        'trip.arrive': 'Arrivée au plus tôt : {time}',
+        'trip.mustLeave': 'Quittez l’île au plus tard : {time}',
+        'trip.fits': '✓ Possible, jusqu’à {time} sur l’île',
+        'trip.tooShort': '✗ Trop court : au plus {time} sur l’île',
+        'trip.noTime': '✗ Trop court pour traverser en sécurité',
+        'trip.passed': 'Cette fenêtre est passée.',
+
+        'history.title': 'Précision des prédictions',
+        'history.open': 'Précision des prédictions',
+        'history.compare': 'Comparer les prédictions',
+        'history.future': 'Choisissez des dates jusqu’à aujourd’hui; les observations n’existent que pour le passé.',
+        'history.loading': 'Chargement des prédictions et des observations...',
+        'history.failed': 'Échec du chargement des marées pour cette période. Veuillez réessayer.',
+        'history.noData': 'Aucune observation pendant cette période',
+        'history.summary': 'Sur {days} jours, le marégraphe s’est écarté des prédictions de {bias} en moyenne (erreur quadratique moyenne {rms}), et d’au plus {max}.',
+        'history.shifts': 'Les fenêtres d’accès se sont ouvertes et fermées à {mean} des heures prédites en moyenne, et jusqu’à {max}.',
+        'history.noWindows': 'Aucune fenêtre d’accès complète à comparer.',
+        'history.missed': { one: '{count} fenêtre prédite ne s’est jamais ouverte.', other: '{count} fenêtres prédites ne se sont jamais ouvertes.' },
+        'history.date': 'Date',
+        'history.bias': 'Biais',
+        'history.rms': 'EQM',
+        'history.max': 'Max.',
+        'history.rolling': 'EQM sur {days} jours',
+        'history.shift': 'Décalage des fenêtres',
+
+        'nav.station': 'Station',
+        'nav.selectStation': 'Choisir la station',
+        'nav.previousDay': 'Jour précédent',
+        'nav.nextDay': 'Jour suivant',
+        'nav.selectDate': 'Choisir la date',
+        'nav.refresh': 'Actualiser les données',
+        'alert.dismiss': 'Fermer l’alerte',
+
+        'status.accessible': '✓ Accessible',
+        'status.notAccessible': '✗ Inaccessible',
+        'status.rising': '↑ Montante',
+        'status.falling': '↓ Descendante',
+        'status.noWindows': 'Aucune fenêtre d’accès dans les {days} prochains jours',
+        'status.closesIn': 'La fenêtre se ferme dans {time}',
+        'status.nextAccessIn': 'Prochain accès dans {time}',
+        'status.leaveIn': 'Quittez l’île dans {time}',
+        'status.leaveNow': 'Quittez l’île maintenant',
+        'status.updated': 'Mis à jour à {time}',
+        'observation.live': 'Lecture du marégraphe il y a {age}',
+        'observation.recent': 'Dernière lecture du marégraphe il y a {age} - état selon les prédictions',
+        'observation.stale': 'Aucune lecture du marégraphe depuis {age} - état selon les prédictions',
+        'observation.suspect': 'La dernière lecture du marégraphe (il y a {age}) a échoué le contrôle de qualité - état selon les prédictions',
+        'observation.none': 'Aucune lecture du marégraphe - état selon les prédictions',
+        'forecast.unavailable': 'Prévision ajustée indisponible (aucune observation récente)',
+        'forecast.offset': 'Prévision ajustée : marégraphe à {offset} par rapport aux prédictions',
+        'announce.open': 'Fenêtre d’accès ouverte',
+        'announce.openClosing': 'Fenêtre d’accès ouverte, se ferme dans {time}',
+        'announce.closed': 'Fenêtre d’accès fermée',
+        'window.closesInMinutes': 'La fenêtre d’accès se ferme dans {minutes} minutes',
+
+        'badge.offline': 'Hors ligne - données en cache de {time}',
+        'badge.demo': 'Mode démo - relecture du {date} à vitesse {speed}× ({source})',
+        'badge.source': 'Source des données : {source}',
+        'provider.dfo': 'Données en direct du MPO',
+        'provider.fixtures': 'Enregistrements',
+
+        'summary.high': 'Haute',
+        'summary.low': 'Basse',
+        'summary.sunrise': 'Lever',
+        'summary.sunset': 'Coucher',
+        'summary.twilight': 'Crépuscule',
+
+        'chart.title': 'Graphique des marées',
+        'chart.label': 'Courbe de marée pour la date choisie',
+        'chart.hint': 'Touchez ou glissez sur le graphique pour lire la marée',
+        'chart.noData': 'Aucune donnée de marée pour cette date',
+        'chart.predicted': 'Prédite {height}',
+        'chart.adjusted': 'Ajustée {height}',
+        'chart.observed': 'Observée {height}',
+
+        'windows.title': 'Fenêtres d’accès',
+        'windows.addToCalendar': 'Ajouter au calendrier',
+        'windows.none': 'Aucune fenêtre d’accès à cette date',
+        'windows.noneHidden': 'Aucune fenêtre d’accès à cette date ({count} masquée(s) dans l’obscurité)',
+        'windows.hidden': { one: '{count} fenêtre dans l’obscurité masquée', other: '{count} fenêtres dans l’obscurité masquées' },
+        'light.daylight': 'Jour',
+        'light.twilight': 'Crépuscule',
+        'light.dark': 'Nuit',
+
+        'table.title': 'Horaire des marées (24 heures)',
+        'table.time': 'Heure',
+        'table.prediction': 'Prédiction',
+        'table.observation': 'Observation',
+        'table.status': 'État',
+        'access.accessible': '✓ Accessible',
+        'access.nearThreshold': '✗ Inaccessible (près du seuil)',
+        'access.notAccessible': '✗ Inaccessible',
+        'table.suspect': 'Douteuse',
+        'table.missing': 'Manquante',
+        'table.export': 'Exporter les données',
+
+        'legend.title': 'Légende',
+        'legend.accessible': 'Accessible ({meters} / {feet})',
+        'legend.nearThreshold': 'Inaccessible, près du seuil (à moins de {meters} / {feet})',
+        'legend.notAccessible': 'Inaccessible ({meters} / {feet})',
+        'legend.noteAbove': 'Vert plus foncé = marée plus haute (eau plus profonde)',
+        'legend.noteBelow': 'Vert plus foncé = marée plus basse (accès plus sûr)',
+        'legend.observations': 'Douteuse : lecture rejetée au contrôle de qualité du MPO · Manquante : aucune lecture du marégraphe',
+        'legend.keyboard': 'Clavier : ← / → jour précédent ou suivant, T aujourd’hui',
+
+        'units.metric': 'Métrique',
+        'units.imperial': 'Impérial',
+        'units.toggleMetric': 'Unités : métriques. Passer aux unités impériales',
+        'units.toggleImperial': 'Unités : impériales. Passer aux unités métriques',
+        'units.metersSymbol': 'm',
+        'units.feetSymbol': 'pi',
+        'height.meters': '{value} m',
+        'height.feet': '{feet} pi {inches} po',
+        'duration.daysHours': '{days} j {hours} h',
+        'duration.hoursMinutes': '{hours} h {minutes} min',
+        'duration.minutesSeconds': '{minutes} min {seconds} s',
+        'duration.minutes': '{minutes} min',
+        'duration.seconds': '{seconds} s',
+
+        'notification.closing': 'La fenêtre d’accès se ferme dans {minutes} min ({time}) - il est temps de revenir',
+        'notification.opening': 'La fenêtre d’accès s’ouvre dans {minutes} min ({time})',
+
+        'ics.summary': 'Fenêtre d’accès - {station}',
+        'ics.tideAtStart': 'Marée au début : {height}',
+        'ics.tideAtEnd': 'Marée à la fin : {height}',
+        'ics.highestTide': 'Marée la plus haute : {height} à {time}',
+        'ics.lowestTide': 'Marée la plus basse : {height} à {time}',
+        'ics.light': 'Lumière : {light}',
+        'ics.profile': 'Profil : {name}',
+        'ics.disclaimer': 'Prédictions du MPO. Vérifiez toujours les conditions avant de traverser.',
+
+        'footer.dataFrom': 'Données de',
+        'footer.timeZone': 'Heures du Pacifique (HNP/HAP)'
+    }
+};
+
+let currentLanguage = window.TidePreferences.getPreference('language') || detectLanguage();
+
+// Intl formatters are expensive to create; reuse one per locale and option set
+const numberFormatters = new Map();
+const pluralRules = new Map();
+
+/**
+ * Pick the first supported language from the browser's preferred languages
+ */
+function detectLanguage() {
+    const preferred = navigator.languages && navigator.languages.length > 0
+        ? navigator.languages
+        : [navigator.language || DEFAULT_LANGUAGE];
+    const match = preferred
+        .map(tag => tag.toLowerCase().split('-')[0])
+        .find(language => SUPPORTED_LANGUAGES.includes(language));
+
+    return match || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Get the display language ('en' or 'fr')
+ */
+function getLanguage() {
+    return currentLanguage;
+}
+
+/**
+ * Switch the display language and remember it (null returns to the browser's language)
+ */
+function setLanguage(language) {
+    const chosen = SUPPORTED_LANGUAGES.includes(language) ? language : null;
+    window.TidePreferences.savePreferences({ language: chosen });
+    currentLanguage = chosen || detectLanguage();
+}
+
+/**
+ * Get the Intl locale for the display language (e.g. 'fr-CA')
+ */
+function getIntlLocale() {
+    return INTL_LOCALES[currentLanguage];
+}
+
+/**
+ * Look up a message, filling `{name}` placeholders from params
+ * Falls back to English, then to the key itself
+ */
+function t(key, params = {}) {
+    let message = MESSAGES[currentLanguage][key] || MESSAGES[DEFAULT_LANGUAGE][key] || key;
+
+    if (typeof message === 'object') {
+        message = message[getPluralRules().select(params.count)] || message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+/**
+ * Get the plural rules for the display language
+ */
+function getPluralRules() {
+    const locale = getIntlLocale();
+    if (!pluralRules.has(locale)) {
+        pluralRules.set(locale, new Intl.PluralRules(locale));
+    }
+    return pluralRules.get(locale);
+}
+
+/**
+ * Format a number with a fixed number of decimals (e.g. "1.10" or "1,10")
+ */
+function formatNumber(value, fractionDigits = 0) {
+    const key = `${getIntlLocale()}:${fractionDigits}`;
+    if (!numberFormatters.has(key)) {
+        numberFormatters.set(key, new Intl.NumberFormat(getIntlLocale(), {
+            minimumFractionDigits: fractionDigits,
+            maximumFractionDigits: fractionDigits
+        }));
+    }
+    return numberFormatters.get(key).format(value);
+}
+
+/**
+ * Translate static markup: `data-i18n` sets the text, and `data-i18n-aria-label`,
+ * `data-i18n-placeholder` and `data-i18n-title` set those attributes
+ * Also sets the document language and title
+ */
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+
+    ['aria-label', 'placeholder', 'title'].forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+
+    document.documentElement.lang = currentLanguage;
+    document.title = t('app.title');
+}
+
+// Export functions
+window.TideI18n = {
+    t,
+    getLanguage,
+    setLanguage,
+    getIntlLocale,
+    formatNumber,
+    applyTranslations,
+    SUPPORTED_LANGUAGES
+};
@@ -0,0 +1,177 @@
+/**
+ * iCalendar (RFC 5545) export of access windows
+ */
+
+// Time zone definitions for station zones; events in other zones are written in UTC
+const VTIMEZONES = {
+    // Pacific time (DST from the second Sunday in March to the first Sunday in November)
+    'America/Vancouver': [
+        'BEGIN:VTIMEZONE',
+        'TZID:America/Vancouver',
+        'BEGIN:DAYLIGHT',
+        'TZOFFSETFROM:-0800',
+        'TZOFFSETTO:-0700',
+        'TZNAME:PDT',
+        'DTSTART:19700308T020000',
+        'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+        'END:DAYLIGHT',
+        'BEGIN:STANDARD',
+        'TZOFFSETFROM:-0700',
+        'TZOFFSETTO:-0800',
+        'TZNAME:PST',
+        'DTSTART:19701101T020000',
+        'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+        'END:STANDARD',
+        'END:VTIMEZONE'
+    ]
+};
+
+/**
+ * Format a date as wall-clock time in the station zone (YYYYMMDDTHHMMSS)
+ */
+function formatZonedDateTime(date) {
+    const parts = window.TideTime.getParts(date);
+    const pad = value => String(value).padStart(2, '0');
+    return `${parts.year}${pad(parts.month + 1)}${pad(parts.day)}T${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second)}`;
+}
+
+/**
+ * Format an event time property, in the station zone when it has a definition
+ */
+function formatDateProperty(name, date, timeZone) {
+    return VTIMEZONES[timeZone]
+        ? `${name};TZID=${timeZone}:${formatZonedDateTime(date)}`
+        : `${name}:${formatUtcDateTime(date)}`;
+}
+
+/**
+ * Format a date as UTC (YYYYMMDDTHHMMSSZ)
+ */
+function formatUtcDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape text values (backslash, semicolon, comma and newline)
+ */
+function escapeText(text) {
+    return text
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, continuing with a leading space
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const folded = [];
+    let current = '';
+
+    for (const char of line) {
+        const limit = folded.length === 0 ? 75 : 74; // Continuation lines start with a space
+        if (encoder.encode(current + char).length > limit) {
+            folded.push(current);
+            current = char;
+        } else {
+            current += char;
+        }
+    }
+    folded.push(current);
+
+    return folded.join('\r\n ');
+}
+
+/**
+ * Describe the tide heights during a window
+ */
+function describeWindow(accessWindow, options) {
+    const { unit, criteria } = options;
+    const { t } = window.TideI18n;
+    const lines = [
+        t('ics.tideAtStart', { height: window.TideCalc.formatHeight(accessWindow.startTide, unit) }),
+        t('ics.tideAtEnd', { height: window.TideCalc.formatHeight(accessWindow.endTide, unit) })
+    ];
+
+    // Lowest tide for "at or below" profiles, highest for "at or above"
+    if (accessWindow.entries.length > 0) {
+        const best = accessWindow.entries.reduce((a, b) => {
+            const better = criteria.mode === 'above' ? b.prediction > a.prediction : b.prediction < a.prediction;
+            return better ? b : a;
+        });
+        lines.push(t(criteria.mode === 'above' ? 'ics.highestTide' : 'ics.lowestTide',
+            { height: window.TideCalc.formatHeight(best.prediction, unit), time: window.TideTime.formatTime(best.time) }));
+    }
+
+    if (accessWindow.light) {
+        lines.push(t('ics.light', { light: t(`light.${accessWindow.light}`) }));
+    }
+
+    lines.push(t('ics.profile', { name: options.profileName }));
+    lines.push(t('ics.disclaimer'));
+
+    return lines.join('\n');
+}
+
+/**
+ * Build an iCalendar file for a list of access windows
+ * Times are written in the station zone, which must be the zone TideTime is using;
+ * windows must be in time order
+ * options: { stationId, stationName, profileName, criteria, unit, alarmMinutes (null for no alarm) }
+ */
+function buildCalendar(windows, options) {
+    const timeZone = window.TideTime.getTimeZone();
+    const stamp = formatUtcDateTime(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Shady Island Tides//Access Windows//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        ...(VTIMEZONES[timeZone] || [])
+    ];
+
+    // UIDs count windows within each station day, so re-imports update an event even
+    // when a new forecast moves its crossing times
+    const windowsPerDay = {};
+
+    windows.forEach(accessWindow => {
+        const day = window.TideTime.dateKey(accessWindow.start);
+        const indexInDay = windowsPerDay[day] || 0;
+        windowsPerDay[day] = indexInDay + 1;
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${options.stationId}-${day.replace(/-/g, '')}-${indexInDay}@shady-times`,
+            `DTSTAMP:${stamp}`,
+            formatDateProperty('DTSTART', accessWindow.start, timeZone),
+            formatDateProperty('DTEND', accessWindow.end, timeZone),
+            `SUMMARY:${escapeText(window.TideI18n.t('ics.summary', { station: options.stationName }))}`,
+            `DESCRIPTION:${escapeText(describeWindow(accessWindow, options))}`,
+            'TRANSP:TRANSPARENT'
+        );
+
+        if (options.alarmMinutes !== null) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${escapeText(window.TideI18n.t('window.closesInMinutes', { minutes: options.alarmMinutes }))}`,
+                `TRIGGER;RELATED=END:-PT${options.alarmMinutes}M`,
+                'END:VALARM'
+            );
+        }
+
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Export functions
+window.TideICS = {
+    buildCalendar
+};
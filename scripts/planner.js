@@ -0,0 +1,97 @@
+/**
+ * Best-days planner
+ * Scores upcoming days by access quality so the best outings rank first
+ */
+
+const DEFAULT_PLANNER_OPTIONS = {
+    days: 30,
+    weekendsOnly: false,
+    earliestHour: 9,       // Preferred outing hours (station time)
+    latestHour: 18,
+    minimumMinutes: 60     // Shortest window worth planning around
+};
+
+/**
+ * Total overlap in milliseconds between windows and a time range
+ */
+function overlapMs(windows, rangeStart, rangeEnd) {
+    if (!rangeStart || !rangeEnd) return 0;
+
+    return windows.reduce((total, window) => {
+        const start = Math.max(window.start.getTime(), rangeStart.getTime());
+        const end = Math.min(window.end.getTime(), rangeEnd.getTime());
+        return total + Math.max(0, end - start);
+    }, 0);
+}
+
+/**
+ * Longest single overlap in milliseconds between windows and a time range
+ */
+function longestOverlapMs(windows, rangeStart, rangeEnd) {
+    return windows.reduce((longest, window) => Math.max(longest, overlapMs([window], rangeStart, rangeEnd)), 0);
+}
+
+/**
+ * Summarize one day's access quality
+ * options: { criteria, latitude, longitude, earliestHour, latestHour, minimumMinutes, weekendsOnly }
+ */
+function summarizeDay(dayStart, series, windows, options) {
+    const { year, month, day, weekday } = window.TideTime.getParts(dayStart);
+    const dayEnd = window.TideTime.makeDate(year, month, day + 1);
+    const noon = window.TideTime.makeDate(year, month, day, 12);
+    const sun = window.TideSun.getSunTimes(noon, options.latitude, options.longitude);
+
+    const dayWindows = windows.filter(accessWindow => accessWindow.end > dayStart && accessWindow.start < dayEnd);
+    const daySeries = series.filter(entry => entry.time >= dayStart && entry.time < dayEnd);
+    const heights = daySeries.map(entry => entry.prediction);
+
+    // Time inside the preferred hours (only on allowed days)
+    const allowedDay = !options.weekendsOnly || weekday === 0 || weekday === 6;
+    const preferredStart = window.TideTime.makeDate(year, month, day, options.earliestHour);
+    const preferredEnd = window.TideTime.makeDate(year, month, day, options.latestHour);
+    const preferredMs = allowedDay ? longestOverlapMs(dayWindows, preferredStart, preferredEnd) : 0;
+
+    return {
+        date: dayStart,
+        windows: dayWindows,
+        daylightMs: overlapMs(dayWindows, sun.sunrise, sun.sunset),
+        longestMs: longestOverlapMs(dayWindows, dayStart, dayEnd),
+        // Lowest low for "at or below" profiles, highest high for "at or above"
+        bestTide: heights.length === 0 ? null
+            : options.criteria.mode === 'above' ? Math.max(...heights) : Math.min(...heights),
+        preferredMs,
+        fits: preferredMs >= options.minimumMinutes * 60 * 1000
+    };
+}
+
+/**
+ * Compare two day summaries: fitting days first, then daylight access time,
+ * longest window and the most favourable tide
+ */
+function compareDays(a, b, criteria) {
+    if (a.fits !== b.fits) return a.fits ? -1 : 1;
+    if (a.daylightMs !== b.daylightMs) return b.daylightMs - a.daylightMs;
+    if (a.longestMs !== b.longestMs) return b.longestMs - a.longestMs;
+    if (a.bestTide === null || b.bestTide === null) return 0;
+    return criteria.mode === 'above' ? b.bestTide - a.bestTide : a.bestTide - b.bestTide;
+}
+
+/**
+ * Rank days from a multi-day prediction series
+ * `dayStarts` are station-day midnights; windows spanning midnight count toward each day they touch
+ */
+function rankDays(dayStarts, series, options) {
+    const settings = { ...DEFAULT_PLANNER_OPTIONS, ...options };
+    const windows = window.TideCalc.findAccessWindows(series, settings.criteria);
+
+    return dayStarts
+        .map(dayStart => summarizeDay(dayStart, series, windows, settings))
+        .filter(day => day.windows.length > 0)
+        .sort((a, b) => compareDays(a, b, settings.criteria));
+}
+
+// Export functions
+window.TidePlanner = {
+    rankDays,
+    DEFAULT_PLANNER_OPTIONS
+};
@@ -0,0 +1,71 @@
+/**
+ * User preferences
+ * All persisted settings in one localStorage entry, read once at load
+ */
+
+const PREFERENCES_STORAGE_KEY = 'shadyTimes.preferences';
+
+const DEFAULT_PREFERENCES = {
+    language: null,              // 'en' or 'fr' (null follows the browser's language)
+    unit: 'meters',              // 'meters' or 'feet'
+    timeFormat: null,            // '12h' or '24h' (null follows the language's usual format)
+    tableResolution: 15,         // Minutes between tide table rows (15, 30 or 60)
+    stationId: null,             // Station opened on launch (null for the registry default)
+    openOn: 'today',             // Date opened on launch: 'today' or 'last' viewed
+    lastViewedDate: null,        // YYYY-MM-DD
+    profiles: null,              // { custom, activeId }, see TideProfiles
+    adjustedForecast: false,
+    darkWindows: 'show',         // 'show', 'dim' or 'hide' windows in the dark
+    alerts: null,                // See TideAlerts
+    trip: null                   // See TideTrip
+};
+
+let preferences = loadPreferences();
+
+/**
+ * Load preferences from localStorage
+ */
+function loadPreferences() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PREFERENCES_STORAGE_KEY));
+        return { ...DEFAULT_PREFERENCES, ...saved };
+    } catch (error) {
+        console.error('Error loading preferences:', error);
+        return { ...DEFAULT_PREFERENCES };
+    }
+}
+
+/**
+ * Get a preference value
+ */
+function getPreference(name) {
+    return preferences[name];
+}
+
+/**
+ * Get a copy of all preferences
+ */
+function getPreferences() {
+    return { ...preferences };
+}
+
+/**
+ * Update and persist preferences
+ */
+function savePreferences(changes) {
+    preferences = { ...preferences, ...changes };
+
+    try {
+        localStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify(preferences));
+    } catch (error) {
+        console.error('Error saving preferences:', error);
+    }
+}
+
+// Export functions
+window.TidePreferences = {
+    getPreference,
+    getPreferences,
+    savePreferences,
+    DEFAULT_PREFERENCES
+};
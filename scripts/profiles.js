@@ -0,0 +1,125 @@
+/**
+ * Access profiles
+ * Named thresholds that decide when the tide counts as "accessible"
+ */
+
+const DEFAULT_PROFILE_ID = 'weir';
+
+// `threshold: null` follows the selected station's access threshold.
+// Mode 'below' is accessible at or below the threshold, 'above' at or above it.
+// Built-in names are shown translated (see getProfileName).
+const BUILT_IN_PROFILES = [
+    { id: 'weir', name: 'Weir crossing', threshold: null, mode: 'below', builtIn: true },
+    { id: 'dry-boots', name: 'Dry boots', threshold: 0.9, mode: 'below', builtIn: true },
+    { id: 'wading', name: 'Wading', threshold: 1.3, mode: 'below', builtIn: true },
+    { id: 'kayak-launch', name: 'Kayak launch', threshold: 2.0, mode: 'above', builtIn: true }
+];
+
+let customProfiles = [];
+let activeProfileId = DEFAULT_PROFILE_ID;
+
+/**
+ * Load saved profiles and the active selection from preferences
+ */
+function loadProfiles() {
+    const saved = window.TidePreferences.getPreference('profiles');
+    if (saved) {
+        customProfiles = saved.custom || [];
+        activeProfileId = saved.activeId || DEFAULT_PROFILE_ID;
+    }
+}
+
+/**
+ * Save custom profiles and the active selection to preferences
+ */
+function saveProfiles() {
+    window.TidePreferences.savePreferences({
+        profiles: {
+            custom: customProfiles,
+            activeId: activeProfileId
+        }
+    });
+}
+
+/**
+ * List built-in and custom profiles
+ */
+function getProfiles() {
+    return BUILT_IN_PROFILES.concat(customProfiles);
+}
+
+/**
+ * Get the active profile, falling back to the default profile
+ */
+function getActiveProfile() {
+    const profiles = getProfiles();
+    return profiles.find(profile => profile.id === activeProfileId) ||
+        profiles.find(profile => profile.id === DEFAULT_PROFILE_ID);
+}
+
+/**
+ * Get a profile's display name (built-in profiles in the display language)
+ */
+function getProfileName(profile) {
+    return profile.builtIn ? window.TideI18n.t(`profile.${profile.id}`) : profile.name;
+}
+
+/**
+ * Select the active profile
+ */
+function setActiveProfile(profileId) {
+    activeProfileId = profileId;
+    saveProfiles();
+}
+
+/**
+ * Add a custom profile (threshold in meters) and return it
+ */
+function addProfile(name, threshold, mode) {
+    const profile = {
+        id: `custom-${Date.now()}`,
+        name,
+        threshold,
+        mode,
+        builtIn: false
+    };
+
+    customProfiles.push(profile);
+    saveProfiles();
+    return profile;
+}
+
+/**
+ * Remove a custom profile
+ */
+function removeProfile(profileId) {
+    customProfiles = customProfiles.filter(profile => profile.id !== profileId);
+
+    if (activeProfileId === profileId) {
+        activeProfileId = DEFAULT_PROFILE_ID;
+    }
+    saveProfiles();
+}
+
+/**
+ * Resolve a profile to access criteria ({ threshold, mode }) for a station
+ */
+function getCriteria(profile, station) {
+    return {
+        threshold: profile.threshold === null ? station.accessThreshold : profile.threshold,
+        mode: profile.mode
+    };
+}
+
+loadProfiles();
+
+// Export functions
+window.TideProfiles = {
+    getProfiles,
+    getActiveProfile,
+    getProfileName,
+    setActiveProfile,
+    addProfile,
+    removeProfile,
+    getCriteria
+};
@@ -0,0 +1,127 @@
+/**
+ * Tide data providers
+ * TideAPI loads series through a provider; the live DFO API is the default and
+ * recorded fixture files can stand in for it (offline demos, bug reproduction)
+ *
+ * Provider interface:
+ *   id, name
+ *   persist      - whether responses may be kept in the offline cache
+ *   fetchSeries(station, seriesCode, from, to, signal)
+ *                - resolves to DFO-format entries ([{ eventDate, value, ... }])
+ *                  for 'wlp' (predictions) or 'wlo' (observations) between two dates
+ */
+
+const DEFAULT_PROVIDER_ID = 'dfo';
+
+const DFO_API_BASE_URL = 'https://api-iwls.dfo-mpo.gc.ca/api/v1/stations';
+
+// Recorded responses live at fixtures/<station id>/<YYYY-MM-DD>.<series code>.json
+const FIXTURES_BASE_URL = 'fixtures';
+
+// Resolved DFO station ids (as promises) keyed by registry id
+const dfoStationIds = new Map();
+
+/**
+ * Resolve the DFO station id for a registry station, looking it up by code if needed
+ */
+async function resolveDfoStationId(station) {
+    if (station.dfoId) {
+        return station.dfoId;
+    }
+
+    if (!dfoStationIds.has(station.id)) {
+        // Store the pending lookup so parallel fetches share one request
+        const lookup = lookupDfoStationId(station.code).catch(error => {
+            dfoStationIds.delete(station.id);
+            throw error;
+        });
+        dfoStationIds.set(station.id, lookup);
+    }
+
+    return dfoStationIds.get(station.id);
+}
+
+/**
+ * Look up a DFO station id by CHS station code
+ */
+async function lookupDfoStationId(code) {
+    const matches = await window.TideHttp.fetchJson(`${DFO_API_BASE_URL}?code=${code}`);
+
+    if (matches.length === 0) {
+        throw new Error(`Unknown station code: ${code}`);
+    }
+
+    return matches[0].id;
+}
+
+const dfoProvider = {
+    id: 'dfo',
+    name: 'DFO-MPO live data',
+    persist: true,
+
+    async fetchSeries(station, seriesCode, from, to, signal) {
+        const dfoId = await resolveDfoStationId(station);
+        const url = `${DFO_API_BASE_URL}/${dfoId}/data?time-series-code=${seriesCode}&from=${from.toISOString()}&to=${to.toISOString()}`;
+        return window.TideHttp.fetchJson(url, signal);
+    }
+};
+
+const fixtureProvider = {
+    id: 'fixtures',
+    name: 'Recorded fixtures',
+    persist: false, // Never mix recordings into the offline cache of live data
+
+    async fetchSeries(station, seriesCode, from, to, signal) {
+        const url = `${FIXTURES_BASE_URL}/${station.id}/${window.TideTime.dateKey(from)}.${seriesCode}.json`;
+
+        try {
+            const entries = await window.TideHttp.fetchJson(url, signal);
+            return entries.filter(entry => {
+                const time = new Date(entry.eventDate);
+                return time >= from && time <= to;
+            });
+        } catch (error) {
+            // Days without a recording show as having no data, so a single recorded day can be replayed
+            if (error.status === 404) {
+                console.warn(`No recording at ${url}`);
+                return [];
+            }
+            throw error;
+        }
+    }
+};
+
+const PROVIDERS = [dfoProvider, fixtureProvider];
+
+let activeProvider = dfoProvider;
+
+/**
+ * Get a provider by id (undefined if unknown)
+ */
+function getProvider(providerId) {
+    return PROVIDERS.find(provider => provider.id === providerId);
+}
+
+/**
+ * Get the provider used for all requests
+ */
+function getActiveProvider() {
+    return activeProvider;
+}
+
+/**
+ * Select the provider used for all requests; unknown ids keep the default
+ * Returns the active provider
+ */
+function setActiveProvider(providerId) {
+    activeProvider = getProvider(providerId) || getProvider(DEFAULT_PROVIDER_ID);
+    return activeProvider;
+}
+
+// Export functions
+window.TideProviders = {
+    getProvider,
+    getActiveProvider,
+    setActiveProvider,
+    DEFAULT_PROVIDER_ID
+};
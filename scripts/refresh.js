@@ -0,0 +1,102 @@
+/**
+ * Auto-refresh schedule
+ * Refreshes on DFO's 15-minute observation cadence and at the station's midnight,
+ * pausing while the page is hidden and catching up when it is shown again
+ */
+
+const REFRESH_INTERVAL_MINUTES = 15;
+const REFRESH_DELAY_MINUTES = 2; // After each quarter-hour, giving the gauge time to report
+
+let refreshTimer = null;
+let nextRefresh = null;     // { time, reason } of the scheduled refresh
+let refreshDayKey = null;   // Station day of the last refresh, to detect rollover while hidden
+let onRefreshCallback = null;
+
+/**
+ * Get the next refresh time and reason after a time:
+ * the next quarter-hour (plus delay), or the station's midnight if that comes first
+ */
+function getNextRefresh(now) {
+    const interval = REFRESH_INTERVAL_MINUTES * 60 * 1000;
+    const delay = REFRESH_DELAY_MINUTES * 60 * 1000;
+    let time = Math.floor((now.getTime() - delay) / interval) * interval + interval + delay;
+    const midnight = window.TideTime.startOfDay(window.TideTime.addDays(now, 1));
+
+    if (midnight.getTime() <= time) {
+        return { time: midnight, reason: 'rollover' };
+    }
+    return { time: new Date(time), reason: 'interval' };
+}
+
+/**
+ * Set the timer for the next refresh
+ */
+function scheduleNextRefresh() {
+    clearTimeout(refreshTimer);
+
+    const now = window.TideClock.now();
+    nextRefresh = getNextRefresh(now);
+    refreshTimer = setTimeout(() => runRefresh(nextRefresh.reason),
+        Math.max(0, window.TideClock.toRealDelay(nextRefresh.time - now)));
+}
+
+/**
+ * Refresh now and schedule the next one
+ * A refresh on a new station day is always reported as a rollover
+ */
+function runRefresh(reason) {
+    const dayKey = window.TideTime.dateKey(window.TideClock.now());
+    const refreshReason = dayKey !== refreshDayKey ? 'rollover' : reason;
+
+    refreshDayKey = dayKey;
+    scheduleNextRefresh();
+    onRefreshCallback(refreshReason);
+}
+
+/**
+ * Pause while hidden; when shown again, refresh at once if one was missed
+ */
+function handleVisibilityChange() {
+    if (document.hidden) {
+        clearTimeout(refreshTimer);
+        refreshTimer = null;
+    } else if (nextRefresh && window.TideClock.now() >= nextRefresh.time) {
+        runRefresh('resume');
+    } else {
+        scheduleNextRefresh();
+    }
+}
+
+/**
+ * Start refreshing on schedule
+ * onRefresh receives the reason: 'interval', 'rollover' (a new station day) or 'resume' (shown after a missed refresh)
+ */
+function startRefreshSchedule(onRefresh) {
+    const now = window.TideClock.now();
+
+    onRefreshCallback = onRefresh;
+    refreshDayKey = window.TideTime.dateKey(now);
+    nextRefresh = getNextRefresh(now);
+
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    if (!document.hidden) scheduleNextRefresh();
+}
+
+/**
+ * Stop refreshing
+ */
+function stopRefreshSchedule() {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+    nextRefresh = null;
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+}
+
+// Export functions
+window.TideRefresh = {
+    startRefreshSchedule,
+    stopRefreshSchedule,
+    REFRESH_INTERVAL_MINUTES
+};
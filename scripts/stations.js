@@ -0,0 +1,79 @@
+/**
+ * Station registry
+ * DFO water level stations the app can display
+ */
+
+const DEFAULT_STATION_ID = 'steveston';
+
+// Stations are looked up by their CHS station code; `dfoId` skips the lookup
+// when the IWLS id is already known. Access thresholds default to the Shady
+// Island weir level and can be tuned per station. Dates and times are shown
+// in each station's `timeZone`.
+const STATIONS = [
+    {
+        id: 'steveston',
+        name: 'Shady Island (Steveston)',
+        location: 'Steveston, Richmond BC',
+        code: '07607',
+        dfoId: '5cebf1e13d0f4a073c4bbf8c',
+        latitude: 49.1250,
+        longitude: -123.1867,
+        accessThreshold: 1.1,
+        timeZone: 'America/Vancouver'
+    },
+    {
+        id: 'sand-heads',
+        name: 'Sand Heads Lighthouse',
+        location: 'Fraser River mouth, BC',
+        code: '07594',
+        dfoId: null,
+        latitude: 49.1058,
+        longitude: -123.3031,
+        accessThreshold: 1.1,
+        timeZone: 'America/Vancouver'
+    },
+    {
+        id: 'point-atkinson',
+        name: 'Point Atkinson',
+        location: 'West Vancouver, BC',
+        code: '07795',
+        dfoId: null,
+        latitude: 49.3370,
+        longitude: -123.2530,
+        accessThreshold: 1.1,
+        timeZone: 'America/Vancouver'
+    },
+    {
+        id: 'vancouver',
+        name: 'Vancouver Harbour',
+        location: 'Vancouver, BC',
+        code: '07735',
+        dfoId: null,
+        latitude: 49.2870,
+        longitude: -123.1100,
+        accessThreshold: 1.1,
+        timeZone: 'America/Vancouver'
+    }
+];
+
+/**
+ * Get a station by id, falling back to the default station
+ */
+function getStation(stationId) {
+    return STATIONS.find(station => station.id === stationId) ||
+        STATIONS.find(station => station.id === DEFAULT_STATION_ID);
+}
+
+/**
+ * List all registered stations
+ */
+function listStations() {
+    return STATIONS.slice();
+}
+
+// Export functions
+window.TideStations = {
+    getStation,
+    listStations,
+    DEFAULT_STATION_ID
+};
@@ -0,0 +1,114 @@
+/**
+ * Persistent cache storage backed by IndexedDB
+ * Keeps fetched tide data across page reloads for offline use
+ */
+
+const DB_NAME = 'shady-times';
+const DB_VERSION = 1;
+const STORE_NAMES = ['predictions', 'observations'];
+
+let dbPromise = null;
+
+/**
+ * Open the database, creating object stores on first use
+ * Resolves to null when IndexedDB is unavailable (e.g. private browsing)
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise(resolve => {
+        if (!window.indexedDB) {
+            resolve(null);
+            return;
+        }
+
+        const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            STORE_NAMES.forEach(name => {
+                if (!db.objectStoreNames.contains(name)) {
+                    db.createObjectStore(name);
+                }
+            });
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.error('Error opening cache database:', request.error);
+            resolve(null);
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Run a single request against an object store
+ */
+async function runRequest(storeName, mode, makeRequest) {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    return new Promise(resolve => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+
+        request.onsuccess = () => resolve(request.result === undefined ? null : request.result);
+        request.onerror = () => {
+            console.error(`Error accessing ${storeName} cache:`, request.error);
+            resolve(null);
+        };
+    });
+}
+
+/**
+ * Read a cache entry ({ timestamp, data }) or null if missing
+ */
+function getEntry(storeName, key) {
+    return runRequest(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Write a cache entry
+ */
+function setEntry(storeName, key, entry) {
+    return runRequest(storeName, 'readwrite', store => store.put(entry, key));
+}
+
+/**
+ * Remove entries older than maxAge from a store
+ */
+async function pruneEntries(storeName, maxAge) {
+    const db = await openDatabase();
+    if (!db) return;
+
+    const cutoff = Date.now() - maxAge;
+    const transaction = db.transaction(storeName, 'readwrite');
+    const request = transaction.objectStore(storeName).openCursor();
+
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+
+        if (cursor.value.timestamp < cutoff) {
+            cursor.delete();
+        }
+        cursor.continue();
+    };
+}
+
+/**
+ * Remove all entries from every store
+ */
+async function clearAll() {
+    await Promise.all(STORE_NAMES.map(name => runRequest(name, 'readwrite', store => store.clear())));
+}
+
+// Export functions
+window.TideStore = {
+    getEntry,
+    setEntry,
+    pruneEntries,
+    clearAll
+};
@@ -0,0 +1,137 @@
+/**
+ * Solar position calculations
+ * Sunrise, sunset and civil twilight for a location, and daylight tagging for access windows
+ */
+
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const OBLIQUITY = RAD * 23.4397; // Earth's axial tilt
+const J0 = 0.0009;
+
+// Sun altitudes (degrees) for each event
+const SUN_ALTITUDES = {
+    sunrise: -0.833,  // Upper limb on the horizon, with refraction
+    civil: -6         // Civil twilight
+};
+
+/**
+ * Convert a date to days since J2000
+ */
+function toDays(date) {
+    return date.valueOf() / DAY_MS - 0.5 + J1970 - J2000;
+}
+
+/**
+ * Convert a Julian date to a Date (null when the event does not occur)
+ */
+function fromJulian(julian) {
+    return Number.isNaN(julian) ? null : new Date((julian + 0.5 - J1970) * DAY_MS);
+}
+
+/**
+ * Solar mean anomaly for a day number
+ */
+function solarMeanAnomaly(days) {
+    return RAD * (357.5291 + 0.98560028 * days);
+}
+
+/**
+ * Ecliptic longitude of the sun from its mean anomaly
+ */
+function eclipticLongitude(meanAnomaly) {
+    const center = RAD * (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly));
+    const perihelion = RAD * 102.9372;
+    return meanAnomaly + center + perihelion + Math.PI;
+}
+
+/**
+ * Julian date of solar noon near an approximate transit
+ */
+function solarTransit(approxTransit, meanAnomaly, longitude) {
+    return J2000 + approxTransit + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * longitude);
+}
+
+/**
+ * Get sunrise, sunset and civil twilight times for the day containing a date
+ * Pass a time near local noon; returns { civilDawn, sunrise, solarNoon, sunset, civilDusk }
+ */
+function getSunTimes(date, latitude, longitude) {
+    const lw = RAD * -longitude;
+    const phi = RAD * latitude;
+    const cycle = Math.round(toDays(date) - J0 - lw / (2 * Math.PI));
+    const approxNoon = J0 + lw / (2 * Math.PI) + cycle;
+
+    const meanAnomaly = solarMeanAnomaly(approxNoon);
+    const eclipticLong = eclipticLongitude(meanAnomaly);
+    const declination = Math.asin(Math.sin(OBLIQUITY) * Math.sin(eclipticLong));
+    const noon = solarTransit(approxNoon, meanAnomaly, eclipticLong);
+
+    // Julian date the sun sets through an altitude; rising is mirrored around noon
+    const setTime = altitude => {
+        const hourAngle = Math.acos((Math.sin(RAD * altitude) - Math.sin(phi) * Math.sin(declination)) /
+            (Math.cos(phi) * Math.cos(declination)));
+        return solarTransit(J0 + (hourAngle + lw) / (2 * Math.PI) + cycle, meanAnomaly, eclipticLong);
+    };
+
+    const sunset = setTime(SUN_ALTITUDES.sunrise);
+    const civilDusk = setTime(SUN_ALTITUDES.civil);
+
+    return {
+        civilDawn: fromJulian(noon - (civilDusk - noon)),
+        sunrise: fromJulian(noon - (sunset - noon)),
+        solarNoon: fromJulian(noon),
+        sunset: fromJulian(sunset),
+        civilDusk: fromJulian(civilDusk)
+    };
+}
+
+/**
+ * Check whether two time ranges overlap
+ */
+function overlaps(start, end, rangeStart, rangeEnd) {
+    return rangeStart !== null && rangeEnd !== null && start < rangeEnd && end > rangeStart;
+}
+
+/**
+ * Classify a time range as 'daylight', 'twilight' or 'dark'
+ * Any overlap with daylight counts as daylight, otherwise any overlap with civil twilight as twilight
+ */
+function classifyLight(start, end, latitude, longitude) {
+    let light = 'dark';
+    let day = window.TideTime.noonOf(start);
+
+    // Check every station day the range touches (windows can span midnight)
+    while (day <= end || window.TideTime.isSameDay(day, end)) {
+        const times = getSunTimes(day, latitude, longitude);
+
+        if (overlaps(start, end, times.sunrise, times.sunset)) {
+            return 'daylight';
+        }
+        if (overlaps(start, end, times.civilDawn, times.civilDusk)) {
+            light = 'twilight';
+        }
+
+        day = window.TideTime.addDays(day, 1);
+    }
+
+    return light;
+}
+
+/**
+ * Tag access windows with their light category (`light` property)
+ */
+function tagWindows(windows, latitude, longitude) {
+    return windows.map(window => ({
+        ...window,
+        light: classifyLight(window.start, window.end, latitude, longitude)
+    }));
+}
+
+// Export functions
+window.TideSun = {
+    getSunTimes,
+    classifyLight,
+    tagWindows
+};
@@ -2,22 +2,30 @@
  * Tide calculations and data processing
  */
 
-const THRESHOLDS = {
-    safeAccess: 1.05,      // ≤1.05m is safely accessible (green)
-    barelyAccess: 1.3      // 1.05-1.3m is barely accessible (orange)
+// Access criteria: accessible at or 'below' (or 'above') the threshold height
+const DEFAULT_CRITERIA = {
+    threshold: 1.1,        // Shady Island weir level
+    mode: 'below'
 };
 
+const MARGINAL_RANGE = 0.4; // Within 0.4m of the threshold on the wrong side is marginal (orange)
+
+// Observation residual (surge) settings for the adjusted forecast
+const RESIDUAL_LOOKBACK_MINUTES = 60;  // Average residuals over the last hour of observations
+const RESIDUAL_DECAY_HOURS = 12;       // e-folding time for projecting the residual forward
+
+// Observation quality
+const OBSERVATION_STALE_MINUTES = 45; // Older gauge readings are not used for the current status
+const GOOD_QC_FLAG = '1';             // DFO qcFlagCode of a reading that passed quality control; others are suspect
+
 const METERS_TO_FEET = 3.28084;
 
 /**
  * Filter data to only 15-minute intervals (0, 15, 30, 45)
+ * Checked on the UTC timestamp, so the result does not depend on the device zone
  */
 function filterQuarterHour(data) {
-    return data.filter(entry => {
-        const date = new Date(entry.eventDate);
-        const minutes = date.getMinutes();
-        return minutes === 0 || minutes === 15 || minutes === 30 || minutes === 45;
-    });
+    return data.filter(entry => new Date(entry.eventDate).getTime() % (15 * 60 * 1000) === 0);
 }
 
 /**
@@ -28,16 +36,23 @@ function metersToFeet(meters) {
 }
 
 /**
- * Format height value based on unit
+ * Convert feet to meters
+ */
+function feetToMeters(feet) {
+    return feet / METERS_TO_FEET;
+}
+
+/**
+ * Format height value based on unit, in the display language
  */
 function formatHeight(meters, unit = 'meters') {
     if (unit === 'feet') {
         const totalFeet = metersToFeet(meters);
         const feet = Math.floor(totalFeet);
         const inches = Math.round((totalFeet - feet) * 12);
-        return `${feet}' ${inches}"`;
+        return window.TideI18n.t('height.feet', { feet, inches });
     }
-    return `${meters.toFixed(2)}m`;
+    return window.TideI18n.t('height.meters', { value: window.TideI18n.formatNumber(meters, 2) });
 }
 
 /**
@@ -54,65 +69,191 @@ function parseHeight(value, unit = 'meters') {
 
 /**
  * Combine predictions with observations
+ * Every reading is assigned to the 15-minute row within half an interval of it and kept,
+ * in time order, in the row's `readings` ({ time, value, flag, suspect }). The row shows
+ * the closest one, with its time (`observationTime`), DFO quality-control flag and whether
+ * it is suspect. Rows with no reading between the first observation and now are marked as
+ * gaps (`observationGap`); series without any observations (prediction-only stations) have no gaps
  */
-function mergeTideData(predictions, observations) {
-    // Filter to 15-minute intervals
+function mergeTideData(predictions, observations, currentTime) {
+    const now = currentTime || window.TideClock.now();
+    const interval = 15 * 60 * 1000;
+
+    // Filter predictions to 15-minute intervals
     const filteredPredictions = filterQuarterHour(predictions);
-    const filteredObservations = filterQuarterHour(observations);
 
-    // Create observation map keyed by timestamp (rounded to 15-min intervals)
+    // Readings for each quarter-hour, keyed by timestamp
     const obsMap = new Map();
-    filteredObservations.forEach(obs => {
-        const date = new Date(obs.eventDate);
-        // Round to nearest 15 minutes for matching
-        const timestamp = Math.floor(date.getTime() / (15 * 60 * 1000)) * (15 * 60 * 1000);
-        obsMap.set(timestamp, obs.value);
+    observations.forEach(obs => {
+        const time = new Date(obs.eventDate);
+        const slot = Math.round(time.getTime() / interval) * interval;
+        const flag = obs.qcFlagCode || null;
+
+        if (!obsMap.has(slot)) obsMap.set(slot, []);
+        obsMap.get(slot).push({ time, value: obs.value, flag, suspect: isSuspectFlag(flag) });
     });
 
+    const firstObservation = observations.length > 0
+        ? Math.min(...observations.map(obs => new Date(obs.eventDate).getTime()))
+        : null;
+
     // Merge data
     return filteredPredictions.map(pred => {
         const date = new Date(pred.eventDate);
-        const timeKey = date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: true });
-
-        // Round to nearest 15 minutes for matching
-        const timestamp = Math.floor(date.getTime() / (15 * 60 * 1000)) * (15 * 60 * 1000);
-        const observation = obsMap.get(timestamp) || null;
+        const timeKey = window.TideTime.formatTime(date, { hour: '2-digit', minute: '2-digit' });
+        const readings = (obsMap.get(date.getTime()) || []).sort((a, b) => a.time - b.time);
+        const observation = readings.reduce((closest, reading) =>
+            (!closest || Math.abs(reading.time - date) < Math.abs(closest.time - date) ? reading : closest), null);
 
         return {
             time: date,
             timeString: timeKey,
             prediction: pred.value,
-            observation: observation
+            observation: observation ? observation.value : null,
+            observationTime: observation ? observation.time : null,
+            observationFlag: observation ? observation.flag : null,
+            observationSuspect: observation !== null && observation.suspect,
+            readings,
+            observationGap: observation === null && firstObservation !== null &&
+                date.getTime() >= firstObservation && date <= now
         };
     });
 }
 
 /**
- * Find high and low tides for the day
+ * Check whether a DFO quality-control flag marks a suspect reading
+ * Readings without a flag are trusted
  */
-function findHighLowTides(tideData) {
-    if (tideData.length === 0) return { high: null, low: null };
+function isSuspectFlag(flag) {
+    return flag !== null && flag !== undefined && String(flag) !== GOOD_QC_FLAG;
+}
 
-    let high = tideData[0];
-    let low = tideData[0];
+/**
+ * Get the latest gauge reading at or before a time
+ * Returns { time, value, suspect } or null when there is none
+ */
+function getLatestObservation(tideData, currentTime) {
+    const now = currentTime || window.TideClock.now();
+    let latest = null;
+
+    tideData.forEach(entry => {
+        (entry.readings || []).forEach(reading => {
+            if (reading.time > now) return;
+            if (!latest || reading.time > latest.time) {
+                latest = { time: reading.time, value: reading.value, suspect: reading.suspect };
+            }
+        });
+    });
 
-    for (const entry of tideData) {
-        if (entry.prediction > high.prediction) {
-            high = entry;
-        }
-        if (entry.prediction < low.prediction) {
-            low = entry;
+    return latest;
+}
+
+/**
+ * Check whether a reading taken at a time is too old to describe the current tide
+ */
+function isObservationStale(time, currentTime) {
+    const now = currentTime || window.TideClock.now();
+    return now - time > OBSERVATION_STALE_MINUTES * 60 * 1000;
+}
+
+/**
+ * Build a full-resolution prediction series (no 15-minute filtering)
+ * Used where exact times matter, such as access window boundaries
+ */
+function toPredictionSeries(predictions) {
+    return predictions
+        .map(pred => ({
+            time: new Date(pred.eventDate),
+            prediction: pred.value
+        }))
+        .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Linearly interpolate the time the tide crosses a height between two entries
+ */
+function interpolateCrossing(before, after, height) {
+    const fraction = (height - before.prediction) / (after.prediction - before.prediction);
+    return new Date(before.time.getTime() + fraction * (after.time - before.time));
+}
+
+/**
+ * Get the current observation-minus-prediction residual
+ * Averages merged entries with observations in the hour before the latest one, skipping suspect readings
+ * Returns { value, time } or null when there are no recent observations up to now
+ */
+function getCurrentResidual(tideData, currentTime) {
+    const now = currentTime || window.TideClock.now();
+    const observed = tideData.filter(entry => entry.observation !== null && !entry.observationSuspect && entry.time <= now);
+
+    if (observed.length === 0) return null;
+
+    const latest = observed[observed.length - 1];
+    if (isObservationStale(latest.observationTime, now)) return null;
+
+    const cutoff = latest.time.getTime() - RESIDUAL_LOOKBACK_MINUTES * 60 * 1000;
+    const recent = observed.filter(entry => entry.time.getTime() >= cutoff);
+    const total = recent.reduce((sum, entry) => sum + (entry.observation - entry.prediction), 0);
+
+    return { value: total / recent.length, time: latest.time };
+}
+
+/**
+ * Apply a residual to a prediction series, decaying it exponentially after the residual time
+ * Entries keep the original value as `rawPrediction`
+ */
+function applyResidual(series, residual, decayHours = RESIDUAL_DECAY_HOURS) {
+    const decayMs = decayHours * 60 * 60 * 1000;
+
+    return series.map(entry => {
+        const elapsed = entry.time - residual.time;
+        const offset = elapsed < 0 ? 0 : residual.value * Math.exp(-elapsed / decayMs);
+
+        return {
+            ...entry,
+            rawPrediction: entry.prediction,
+            prediction: entry.prediction + offset
+        };
+    });
+}
+
+/**
+ * Find every high and low tide (turning point) in a prediction series
+ * Flat tops/bottoms resolve to the middle of the plateau
+ * Returns [{ type: 'high' | 'low', time, prediction }] in time order
+ */
+function findTurningPoints(tideData) {
+    const turningPoints = [];
+    let direction = 0;
+    let plateauStart = 0; // First entry after the last change in height
+
+    for (let i = 1; i < tideData.length; i++) {
+        const diff = tideData[i].prediction - tideData[i - 1].prediction;
+        if (diff === 0) continue;
+
+        const newDirection = diff > 0 ? 1 : -1;
+
+        if (direction !== 0 && newDirection !== direction) {
+            const turning = tideData[Math.floor((plateauStart + i - 1) / 2)];
+            turningPoints.push({
+                type: direction > 0 ? 'high' : 'low',
+                time: turning.time,
+                prediction: turning.prediction
+            });
         }
+
+        direction = newDirection;
+        plateauStart = i;
     }
 
-    return { high, low };
+    return turningPoints;
 }
 
 /**
  * Determine tide trend (rising or falling)
  */
 function getTideTrend(tideData, currentTime) {
-    const now = currentTime || new Date();
+    const now = currentTime || window.TideClock.now();
 
     // Find the closest data points before and after current time
     let before = null;
@@ -135,42 +276,68 @@ function getTideTrend(tideData, currentTime) {
 }
 
 /**
- * Find access windows (periods when tide is ≤1.1m - accessible)
+ * Get how far a tide is on the accessible side of the threshold
+ * Positive when accessible, negative when not
+ */
+function getAccessMargin(tide, criteria = DEFAULT_CRITERIA) {
+    return criteria.mode === 'above' ? tide - criteria.threshold : criteria.threshold - tide;
+}
+
+/**
+ * Check whether a tide height meets the access criteria
+ */
+function isAccessible(tide, criteria = DEFAULT_CRITERIA) {
+    return getAccessMargin(tide, criteria) >= 0;
+}
+
+/**
+ * Find access windows (periods when the tide meets the access criteria)
+ * Window boundaries are interpolated to the time the tide crosses the threshold; windows
+ * already open at the start or still open at the end of the series are cut off there
+ * and marked `clippedStart` / `clippedEnd`
  */
-function findAccessWindows(tideData) {
+function findAccessWindows(tideData, criteria = DEFAULT_CRITERIA) {
     const accessWindows = [];
     let currentWindow = null;
-    const accessThreshold = 1.1; // Island accessible when tide ≤1.1m
+    const threshold = criteria.threshold;
 
-    tideData.forEach((entry) => {
+    tideData.forEach((entry, index) => {
         const tide = entry.prediction;
+        const previous = tideData[index - 1];
 
-        // Access window (≤1.1m)
-        if (tide <= accessThreshold) {
+        // Access window (threshold met)
+        if (isAccessible(tide, criteria)) {
             if (!currentWindow) {
-                currentWindow = { start: entry.time, startTide: tide, entries: [] };
+                // Opens where the tide crosses into the accessible range
+                currentWindow = previous
+                    ? { start: interpolateCrossing(previous, entry, threshold), startTide: threshold, entries: [] }
+                    : { start: entry.time, startTide: tide, entries: [], clippedStart: true };
             }
             currentWindow.entries.push(entry);
             currentWindow.end = entry.time;
             currentWindow.endTide = tide;
         } else if (currentWindow) {
+            // Closes where the tide crosses back out of it
+            currentWindow.end = interpolateCrossing(previous, entry, threshold);
+            currentWindow.endTide = threshold;
             accessWindows.push(currentWindow);
             currentWindow = null;
         }
     });
 
     // Close any open window
-    if (currentWindow) accessWindows.push(currentWindow);
+    if (currentWindow) accessWindows.push({ ...currentWindow, clippedEnd: true });
 
     return accessWindows;
 }
 
 /**
  * Get current access status
+ * Uses the latest gauge reading when it is recent and passed quality control, otherwise
+ * the prediction closest to now; `source` says which ('observation' or 'prediction')
  */
-function getCurrentAccessStatus(tideData, currentTime) {
-    const now = currentTime || new Date();
-    const accessThreshold = 1.1; // Island accessible when tide ≤1.1m
+function getCurrentAccessStatus(tideData, currentTime, criteria = DEFAULT_CRITERIA) {
+    const now = currentTime || window.TideClock.now();
 
     // Find the closest tide reading
     let closest = null;
@@ -185,24 +352,26 @@ function getCurrentAccessStatus(tideData, currentTime) {
     }
 
     if (!closest) {
-        return { accessible: false, status: 'unknown', tide: null };
+        return { accessible: false, status: 'unknown', tide: null, source: null };
     }
 
-    const tide = closest.observation || closest.prediction;
+    const latest = getLatestObservation(tideData, now);
+    const source = latest && !latest.suspect && !isObservationStale(latest.time, now) ? 'observation' : 'prediction';
+    const tide = source === 'observation' ? latest.value : closest.prediction;
 
-    if (tide <= accessThreshold) {
-        return { accessible: true, status: 'accessible', tide, entry: closest };
+    if (isAccessible(tide, criteria)) {
+        return { accessible: true, status: 'accessible', tide, source, entry: closest };
     } else {
-        return { accessible: false, status: 'not-accessible', tide, entry: closest };
+        return { accessible: false, status: 'not-accessible', tide, source, entry: closest };
     }
 }
 
 /**
  * Calculate countdown to next access window or end of current window
  */
-function getCountdown(tideData, currentTime) {
-    const now = currentTime || new Date();
-    const accessWindows = findAccessWindows(tideData);
+function getCountdown(tideData, currentTime, criteria = DEFAULT_CRITERIA) {
+    const now = currentTime || window.TideClock.now();
+    const accessWindows = findAccessWindows(tideData, criteria);
 
     // Check if we're currently in a window
     for (const window of accessWindows) {
@@ -233,29 +402,32 @@ function getCountdown(tideData, currentTime) {
 }
 
 /**
- * Format countdown time
+ * Format countdown time, in the display language
  */
 function formatCountdown(ms) {
     const totalSeconds = Math.floor(ms / 1000);
+    const days = Math.floor(totalSeconds / 86400);
     const hours = Math.floor(totalSeconds / 3600);
     const minutes = Math.floor((totalSeconds % 3600) / 60);
     const seconds = totalSeconds % 60;
 
-    if (hours > 0) {
-        return `${hours}h ${minutes}m`;
+    if (days > 0) {
+        return window.TideI18n.t('duration.daysHours', { days, hours: hours % 24 });
+    } else if (hours > 0) {
+        return window.TideI18n.t('duration.hoursMinutes', { hours, minutes });
     } else if (minutes > 0) {
-        return `${minutes}m ${seconds}s`;
+        return window.TideI18n.t('duration.minutesSeconds', { minutes, seconds });
     } else {
-        return `${seconds}s`;
+        return window.TideI18n.t('duration.seconds', { seconds });
     }
 }
 
 /**
- * Filter tide data to display window (10am-10pm)
+ * Filter tide data to display window (10am-10pm station time)
  */
 function filterDisplayWindow(tideData, startHour = 10, endHour = 22) {
     return tideData.filter(entry => {
-        const hour = entry.time.getHours();
+        const hour = window.TideTime.getParts(entry.time).hour;
         return hour >= startHour && hour < endHour;
     });
 }
@@ -263,11 +435,13 @@ function filterDisplayWindow(tideData, startHour = 10, endHour = 22) {
 /**
  * Get accessibility level for color coding
  */
-function getAccessibilityLevel(tide) {
-    const accessThreshold = 1.1; // Island accessible when tide ≤1.1m
+function getAccessibilityLevel(tide, criteria = DEFAULT_CRITERIA) {
+    const margin = getAccessMargin(tide, criteria);
 
-    if (tide <= accessThreshold) {
+    if (margin >= 0) {
         return 'accessible';
+    } else if (margin >= -MARGINAL_RANGE) {
+        return 'marginal';
     } else {
         return 'not-accessible';
     }
@@ -276,17 +450,29 @@ function getAccessibilityLevel(tide) {
 // Export functions
 window.TideCalc = {
     filterQuarterHour,
+    toPredictionSeries,
+    interpolateCrossing,
     metersToFeet,
+    feetToMeters,
     formatHeight,
     parseHeight,
     mergeTideData,
-    findHighLowTides,
+    isSuspectFlag,
+    getLatestObservation,
+    isObservationStale,
+    getCurrentResidual,
+    applyResidual,
+    findTurningPoints,
     getTideTrend,
     findAccessWindows,
     getCurrentAccessStatus,
     getCountdown,
     formatCountdown,
     filterDisplayWindow,
+    getAccessMargin,
+    isAccessible,
     getAccessibilityLevel,
-    THRESHOLDS
+    DEFAULT_CRITERIA,
+    MARGINAL_RANGE,
+    OBSERVATION_STALE_MINUTES
 };
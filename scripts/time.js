@@ -0,0 +1,193 @@
+/**
+ * Station time zone handling
+ * Day boundaries, date keys and labels in the station's zone, independent of the device zone
+ */
+
+const DEFAULT_TIME_ZONE = 'America/Vancouver';
+
+let currentTimeZone = DEFAULT_TIME_ZONE;
+let useHour12 = null; // 12-hour (AM/PM) or 24-hour times; null for the locale's own
+
+// Intl formatters are expensive to create; reuse one per zone
+const partsFormatters = new Map();
+
+/**
+ * Set the time zone used by all functions (the selected station's zone)
+ */
+function setTimeZone(timeZone) {
+    currentTimeZone = timeZone || DEFAULT_TIME_ZONE;
+}
+
+/**
+ * Get the time zone in use
+ */
+function getTimeZone() {
+    return currentTimeZone;
+}
+
+/**
+ * Choose 12-hour (AM/PM) or 24-hour time labels, or null for the locale's own format
+ */
+function setHour12(hour12) {
+    useHour12 = hour12;
+}
+
+/**
+ * Get the numeric formatter for the current zone
+ */
+function getPartsFormatter() {
+    if (!partsFormatters.has(currentTimeZone)) {
+        partsFormatters.set(currentTimeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone: currentTimeZone,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            hourCycle: 'h23'
+        }));
+    }
+    return partsFormatters.get(currentTimeZone);
+}
+
+/**
+ * Get the wall-clock fields of a date in the station zone
+ * Returns { year, month (0-11), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+function getParts(date) {
+    const parts = {};
+    getPartsFormatter().formatToParts(date).forEach(part => {
+        parts[part.type] = parseInt(part.value, 10);
+    });
+
+    return {
+        year: parts.year,
+        month: parts.month - 1,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second,
+        weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+    };
+}
+
+/**
+ * Get the station zone's offset from UTC at a date, in milliseconds
+ */
+function getOffset(date) {
+    const parts = getParts(date);
+    const wallClock = Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Create a date from wall-clock fields in the station zone (like `new Date(y, m, d, h, min)`)
+ * Out-of-range fields roll over; times skipped by a DST change resolve to the later offset
+ */
+function makeDate(year, month, day, hour = 0, minute = 0) {
+    const wallClock = Date.UTC(year, month, day, hour, minute);
+    const guess = wallClock - getOffset(new Date(wallClock));
+    const offset = getOffset(new Date(guess));
+
+    return new Date(wallClock - offset);
+}
+
+/**
+ * Get the start of the station day containing a date
+ */
+function startOfDay(date) {
+    const parts = getParts(date);
+    return makeDate(parts.year, parts.month, parts.day);
+}
+
+/**
+ * Get noon of the station day containing a date (a safe anchor for a calendar day)
+ */
+function noonOf(date) {
+    const parts = getParts(date);
+    return makeDate(parts.year, parts.month, parts.day, 12);
+}
+
+/**
+ * Shift a date by calendar days in the station zone, keeping its wall-clock time
+ * DST-correct: days can be 23 or 25 hours long
+ */
+function addDays(date, days) {
+    const parts = getParts(date);
+    return makeDate(parts.year, parts.month, parts.day + days, parts.hour, parts.minute);
+}
+
+/**
+ * Get the station date of a date as YYYY-MM-DD
+ */
+function dateKey(date) {
+    const parts = getParts(date);
+    const month = String(parts.month + 1).padStart(2, '0');
+    const day = String(parts.day).padStart(2, '0');
+    return `${parts.year}-${month}-${day}`;
+}
+
+/**
+ * Parse a YYYY-MM-DD date to noon of that station day
+ */
+function parseDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return makeDate(year, month - 1, day, 12);
+}
+
+/**
+ * Check whether a value is a real YYYY-MM-DD date (not one that would roll over, like 2026-13-45)
+ */
+function isDateKey(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && dateKey(parseDateKey(value)) === value;
+}
+
+/**
+ * Check whether two dates fall on the same station day
+ */
+function isSameDay(a, b) {
+    return dateKey(a) === dateKey(b);
+}
+
+/**
+ * Format a time in the station zone and display language (toLocaleTimeString options)
+ * Uses the chosen 12/24-hour format unless `hour12` is given, else the locale's own
+ */
+function formatTime(date, options = { hour: 'numeric', minute: '2-digit' }) {
+    const { hour12 = useHour12, ...formatOptions } = options;
+
+    if (hour12 !== null) {
+        // An explicit hour cycle, since `hour12: false` shows midnight as 24:00 in some locales
+        formatOptions.hourCycle = hour12 ? 'h12' : 'h23';
+    }
+
+    return date.toLocaleTimeString(window.TideI18n.getIntlLocale(), { ...formatOptions, timeZone: currentTimeZone });
+}
+
+/**
+ * Format a date in the station zone and display language (toLocaleDateString options)
+ */
+function formatDate(date, options) {
+    return date.toLocaleDateString(window.TideI18n.getIntlLocale(), { ...options, timeZone: currentTimeZone });
+}
+
+// Export functions
+window.TideTime = {
+    setTimeZone,
+    getTimeZone,
+    setHour12,
+    getParts,
+    getOffset,
+    makeDate,
+    startOfDay,
+    noonOf,
+    addDays,
+    dateKey,
+    parseDateKey,
+    isDateKey,
+    isSameDay,
+    formatTime,
+    formatDate,
+    DEFAULT_TIME_ZONE
+};
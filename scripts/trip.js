@@ -0,0 +1,72 @@
+/**
+ * Trip planner
+ * Turns an access window into departure and turnaround times for a walk out to the island
+ */
+
+const DEFAULT_TRIP_SETTINGS = {
+    crossingMinutes: 20,    // Walk from the car to the island, each way
+    stayMinutes: 60,        // Desired time on the island
+    bufferMinutes: 15,      // Kept clear at both ends of the window
+    leaveCountdown: false   // Header counts down to leaving the island during a window
+};
+
+let tripSettings = loadTripSettings();
+
+/**
+ * Load trip settings from preferences
+ */
+function loadTripSettings() {
+    return { ...DEFAULT_TRIP_SETTINGS, ...window.TidePreferences.getPreference('trip') };
+}
+
+/**
+ * Get the current trip settings
+ */
+function getTripSettings() {
+    return { ...tripSettings };
+}
+
+/**
+ * Update and persist trip settings
+ */
+function saveTripSettings(changes) {
+    tripSettings = { ...tripSettings, ...changes };
+    window.TidePreferences.savePreferences({ trip: tripSettings });
+}
+
+/**
+ * Plan a trip within an access window
+ * Leaving the car no earlier than the buffer after opening (or now, if later) gives the
+ * earliest arrival; leaving the island the buffer plus a crossing before closing is the
+ * must-leave time. The plan fits when the time between them covers the desired stay
+ * Returns { window, earliestDeparture, latestDeparture, earliestArrival, mustLeave, islandMs, fits }
+ */
+function planTrip(accessWindow, settings, currentTime) {
+    const now = currentTime || window.TideClock.now();
+    const minute = 60 * 1000;
+    const crossing = settings.crossingMinutes * minute;
+    const buffer = settings.bufferMinutes * minute;
+
+    const earliestDeparture = new Date(Math.max(accessWindow.start.getTime() + buffer, now.getTime()));
+    const earliestArrival = new Date(earliestDeparture.getTime() + crossing);
+    const mustLeave = new Date(accessWindow.end.getTime() - buffer - crossing);
+    const latestDeparture = new Date(mustLeave.getTime() - settings.stayMinutes * minute - crossing);
+    const islandMs = Math.max(0, mustLeave - earliestArrival);
+
+    return {
+        window: accessWindow,
+        earliestDeparture,
+        latestDeparture,
+        earliestArrival,
+        mustLeave,
+        islandMs,
+        fits: islandMs > 0 && latestDeparture >= earliestDeparture
+    };
+}
+
+// Export functions
+window.TideTrip = {
+    getTripSettings,
+    saveTripSettings,
+    planTrip
+};
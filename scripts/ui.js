@@ -2,21 +2,208 @@
  * UI Controller - Manages all user interface updates and interactions
  */
 
-let currentDate = new Date();
-let tideData = [];
-let todayTideData = []; // Always contains today's data for header status
+// Days of predictions after today used for the header status and countdown
+const STATUS_LOOKAHEAD_DAYS = 3;
+
+// Longest date range that can be exported or compared at once
+const MAX_EXPORT_DAYS = 31;
+
+// Units as written in the `unit` URL parameter
+const URL_UNITS = {
+    m: 'meters',
+    ft: 'feet'
+};
+
+// Announce when an open window has this long left
+const CLOSING_SOON_MINUTES = 15;
+
+// Message keys for tide table row status (color is not the only cue)
+// Marginal rows are still not accessible; only their tint sets them apart
+const ACCESS_LABELS = {
+    accessible: 'access.accessible',
+    marginal: 'access.nearThreshold',
+    'not-accessible': 'access.notAccessible'
+};
+
+const LIGHT_SYMBOLS = {
+    daylight: '☀',
+    twilight: '◐',
+    dark: '☾'
+};
+
+let currentDate = new Date(); // Noon of the selected station day
+let tideData = []; // Selected day only (summary and table)
+let contextTideData = []; // Selected day plus the days either side (access windows across midnight)
+let statusTideData = []; // Today through the lookahead days (header status and countdown)
+let contextSeries = []; // Full-resolution predictions matching contextTideData
+let statusSeries = []; // Full-resolution predictions matching statusTideData
+let currentResidual = null; // Latest observation-minus-prediction residual ({ value, time })
+let adjustedForecast = window.TidePreferences.getPreference('adjustedForecast');
+let darkWindowMode = window.TidePreferences.getPreference('darkWindows'); // 'show', 'dim' or 'hide' windows in the dark
 let countdownInterval = null;
-let currentUnit = 'meters';
+let currentUnit = window.TidePreferences.getPreference('unit');
+let currentStationId = window.TideStations.DEFAULT_STATION_ID;
+let quietReloadTimeout = null;
+let loadController = null; // Cancels the previous load when a newer one starts
+let announcedStatus = null; // Window state last announced ({ open, closingSoon }), null until first update
+let lastUpdated = null; // When the oldest data on screen was downloaded (fresh data only)
 
 /**
  * Initialize the application
  */
 async function init() {
+    registerServiceWorker();
+    window.TideI18n.applyTranslations();
+    updateLanguageToggle();
+    applyTimeFormat(window.TidePreferences.getPreference('timeFormat'));
+    populateStationPicker();
+    configureDataSource();
+    applyUrlState({ launch: true });
+    updateUrl();
     setupEventListeners();
-    setDateToToday();
+    window.TideRefresh.startRefreshSchedule(handleScheduledRefresh);
     await loadTideData();
 }
 
+/**
+ * Select the data provider and demo mode from URL parameters
+ * ?source=fixtures loads recorded responses; ?demo=YYYY-MM-DD[THH:MM]&speed=60
+ * replays that day (station time) on a simulated clock. Malformed demo values are ignored
+ */
+function configureDataSource() {
+    const params = new URLSearchParams(window.location.search);
+    const demo = (params.get('demo') || '').match(/^(\d{4}-\d{2}-\d{2})(?:T([01]\d|2[0-3]):([0-5]\d))?$/);
+
+    window.TideProviders.setActiveProvider(params.get('source'));
+
+    if (demo && window.TideTime.isDateKey(demo[1])) {
+        const [, dateKey, hour = '0', minute = '0'] = demo;
+        const { year, month, day } = window.TideTime.getParts(window.TideTime.parseDateKey(dateKey));
+        const speed = parseFloat(params.get('speed')) || window.TideClock.DEFAULT_DEMO_SPEED;
+
+        // Observations appear as the simulated clock passes them; the refresh schedule follows it
+        window.TideClock.startSimulation(window.TideTime.makeDate(year, month, day, Number(hour), Number(minute)), speed);
+    }
+
+    updateSourceBadge();
+}
+
+/**
+ * Show the demo / data source badge when not using live data
+ */
+function updateSourceBadge() {
+    const params = new URLSearchParams(window.location.search);
+    const provider = window.TideProviders.getActiveProvider();
+    const demo = window.TideClock.isSimulated() ? params.get('demo') : null;
+
+    if (!demo && provider.id === window.TideProviders.DEFAULT_PROVIDER_ID) return;
+
+    const badge = document.getElementById('demo-badge');
+    const source = window.TideI18n.t(`provider.${provider.id}`);
+    badge.textContent = demo
+        ? window.TideI18n.t('badge.demo', { date: demo, speed: window.TideClock.getSpeed(), source })
+        : window.TideI18n.t('badge.source', { source });
+    badge.style.display = 'block';
+}
+
+/**
+ * Check whether a station id is in the registry
+ */
+function isKnownStation(stationId) {
+    return window.TideStations.listStations().some(station => station.id === stationId);
+}
+
+/**
+ * Apply the view state (date, unit, station) from the URL query
+ * Missing or invalid values fall back to the preferred unit and station, and to today;
+ * on `launch` a missing date opens the last viewed date when preferred
+ */
+function applyUrlState(options = {}) {
+    const params = new URLSearchParams(window.location.search);
+    const preferences = window.TidePreferences.getPreferences();
+    const stationId = params.get('station');
+    const { isDateKey } = window.TideTime;
+    const openLastViewed = options.launch && preferences.openOn === 'last' && isDateKey(preferences.lastViewedDate);
+    const date = isDateKey(params.get('date'))
+        ? params.get('date')
+        : openLastViewed ? preferences.lastViewedDate : null;
+
+    if (isKnownStation(stationId)) {
+        currentStationId = stationId;
+    } else {
+        currentStationId = isKnownStation(preferences.stationId) ? preferences.stationId : window.TideStations.DEFAULT_STATION_ID;
+    }
+    document.getElementById('station-picker').value = currentStationId;
+    updateStationText();
+
+    currentUnit = URL_UNITS[params.get('unit')] || preferences.unit;
+    updateUnitToggle();
+
+    if (date) {
+        currentDate = window.TideTime.parseDateKey(date);
+        updateDatePicker();
+    } else {
+        setDateToToday();
+    }
+}
+
+/**
+ * Write the view state to the URL query, keeping other parameters (such as demo mode)
+ * Defaults are left out so links stay short; `push` adds a history entry
+ * Also remembers the date for opening on the last viewed date
+ */
+function updateUrl(options = {}) {
+    window.TidePreferences.savePreferences({ lastViewedDate: window.TideTime.dateKey(currentDate) });
+
+    const params = new URLSearchParams(window.location.search);
+    const viewingToday = window.TideTime.isSameDay(currentDate, window.TideClock.now());
+    const unit = Object.keys(URL_UNITS).find(key => URL_UNITS[key] === currentUnit);
+
+    const state = {
+        date: viewingToday ? null : window.TideTime.dateKey(currentDate),
+        unit: currentUnit === 'meters' ? null : unit,
+        station: currentStationId === window.TideStations.DEFAULT_STATION_ID ? null : currentStationId
+    };
+
+    Object.entries(state).forEach(([name, value]) => {
+        if (value === null) {
+            params.delete(name);
+        } else {
+            params.set(name, value);
+        }
+    });
+
+    const query = params.toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+
+    if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+
+    if (options.push) {
+        history.pushState(null, '', url);
+    } else {
+        history.replaceState(null, '', url);
+    }
+}
+
+/**
+ * Restore the viewed date, unit and station on back/forward navigation (no date means today)
+ */
+function handlePopState() {
+    applyUrlState();
+    loadTideData();
+}
+
+/**
+ * Register the service worker for offline use and installation
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+}
+
 /**
  * Set up event listeners
  */
@@ -25,14 +212,91 @@ function setupEventListeners() {
     document.getElementById('next-day').addEventListener('click', navigateNextDay);
     document.getElementById('date-picker').addEventListener('change', handleDatePickerChange);
     document.getElementById('unit-toggle').addEventListener('click', toggleUnit);
+    document.getElementById('language-toggle').addEventListener('click', toggleLanguage);
     document.getElementById('refresh-btn').addEventListener('click', handleRefresh);
+    document.getElementById('station-picker').addEventListener('change', handleStationChange);
+    document.getElementById('settings-btn').addEventListener('click', showSettings);
+    document.getElementById('settings-close').addEventListener('click', hideSettings);
+    ['pref-unit', 'pref-time-format', 'pref-table-resolution', 'pref-station', 'pref-open-on'].forEach(id => {
+        document.getElementById(id).addEventListener('change', handleDisplayPreferenceChange);
+    });
+    document.getElementById('profile-list').addEventListener('change', handleProfileSelect);
+    document.getElementById('profile-list').addEventListener('click', handleProfileDelete);
+    document.getElementById('profile-form').addEventListener('submit', handleProfileAdd);
+    document.getElementById('adjusted-forecast').addEventListener('change', handleAdjustedForecastChange);
+    document.getElementById('dark-windows').addEventListener('change', handleDarkWindowChange);
+    document.getElementById('alerts-enabled').addEventListener('change', handleAlertSettingsChange);
+    document.getElementById('alerts-open-lead').addEventListener('change', handleAlertSettingsChange);
+    document.getElementById('alerts-close-lead').addEventListener('change', handleAlertSettingsChange);
+    document.getElementById('alerts-sound').addEventListener('change', handleAlertSettingsChange);
+    document.getElementById('alert-dismiss').addEventListener('click', hideAlertBanner);
+    document.getElementById('export-btn').addEventListener('click', () => showExport('ics'));
+    document.getElementById('export-data-btn').addEventListener('click', () => showExport('csv'));
+    document.getElementById('export-close').addEventListener('click', hideExport);
+    document.getElementById('export-form').addEventListener('submit', handleExport);
+    document.getElementById('export-form').elements['export-format'].addEventListener('change', updateExportOptions);
+    document.getElementById('planner-btn').addEventListener('click', showPlanner);
+    document.getElementById('planner-close').addEventListener('click', hidePlanner);
+    document.getElementById('planner-form').addEventListener('submit', handlePlannerSubmit);
+    document.getElementById('planner-results').addEventListener('click', handlePlannerResultClick);
+    document.getElementById('trip-btn').addEventListener('click', showTrip);
+    document.getElementById('trip-close').addEventListener('click', hideTrip);
+    document.getElementById('trip-form').addEventListener('input', handleTripChange);
+    document.getElementById('trip-form').addEventListener('submit', event => event.preventDefault());
+    document.getElementById('history-btn').addEventListener('click', showHistory);
+    document.getElementById('history-close').addEventListener('click', hideHistory);
+    document.getElementById('history-form').addEventListener('submit', handleHistorySubmit);
+
+    // Audio can only start after a user gesture; unlock it on the first tap
+    document.addEventListener('pointerdown', () => {
+        if (window.TideAlerts.getAlertSettings().enabled) window.TideAlerts.unlockAudio();
+    }, { once: true });
+
+    document.addEventListener('keydown', handleKeyboardShortcut);
+
+    // Back/forward moves between viewed dates
+    window.addEventListener('popstate', handlePopState);
+
+    // Background cache revalidation results from TideAPI
+    window.addEventListener('tidedata:revalidated', handleDataRevalidated);
+    window.addEventListener('tidedata:offline', handleDataOffline);
+}
+
+/**
+ * Fill the station picker from the station registry
+ */
+function populateStationPicker() {
+    const picker = document.getElementById('station-picker');
+
+    picker.innerHTML = window.TideStations.listStations()
+        .map(station => `<option value="${station.id}">${station.name}</option>`)
+        .join('');
+    picker.value = currentStationId;
+    updateStationText();
+}
+
+/**
+ * Update header subtitle and time zone for the selected station
+ */
+function updateStationText() {
+    const station = window.TideStations.getStation(currentStationId);
+    document.getElementById('station-location').textContent = station.location;
+    window.TideTime.setTimeZone(station.timeZone);
+}
+
+/**
+ * Get the access criteria for the active profile at the selected station
+ */
+function getAccessCriteria() {
+    const station = window.TideStations.getStation(currentStationId);
+    return window.TideProfiles.getCriteria(window.TideProfiles.getActiveProfile(), station);
 }
 
 /**
  * Set date to today
  */
 function setDateToToday() {
-    currentDate = new Date();
+    currentDate = window.TideTime.noonOf(window.TideClock.now());
     updateDatePicker();
 }
 
@@ -40,10 +304,7 @@ function setDateToToday() {
  * Update date picker value
  */
 function updateDatePicker() {
-    const year = currentDate.getFullYear();
-    const month = String(currentDate.getMonth() + 1).padStart(2, '0');
-    const day = String(currentDate.getDate()).padStart(2, '0');
-    document.getElementById('date-picker').value = `${year}-${month}-${day}`;
+    document.getElementById('date-picker').value = window.TideTime.dateKey(currentDate);
 }
 
 
@@ -51,8 +312,9 @@ function updateDatePicker() {
  * Navigate to previous day
  */
 function navigatePreviousDay() {
-    currentDate.setDate(currentDate.getDate() - 1);
+    currentDate = window.TideTime.addDays(currentDate, -1);
     updateDatePicker();
+    updateUrl({ push: true });
     loadTideData();
 }
 
@@ -60,70 +322,207 @@ function navigatePreviousDay() {
  * Navigate to next day
  */
 function navigateNextDay() {
-    currentDate.setDate(currentDate.getDate() + 1);
+    currentDate = window.TideTime.addDays(currentDate, 1);
     updateDatePicker();
+    updateUrl({ push: true });
+    loadTideData();
+}
+
+/**
+ * Navigate to today
+ */
+function navigateToday() {
+    setDateToToday();
+    updateUrl({ push: true });
     loadTideData();
 }
 
+/**
+ * Keyboard shortcuts: arrow keys for the previous/next day, T for today
+ * Ignored while typing in a field or with a dialog open
+ */
+function handleKeyboardShortcut(event) {
+    if (event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+    if (event.target.closest('input, select, textarea, [contenteditable="true"]')) return;
+    if (Array.from(document.querySelectorAll('.modal')).some(modal => modal.style.display === 'flex')) return;
+
+    if (event.key === 'ArrowLeft') {
+        navigatePreviousDay();
+    } else if (event.key === 'ArrowRight') {
+        navigateNextDay();
+    } else if (event.key === 't' || event.key === 'T') {
+        navigateToday();
+    } else {
+        return;
+    }
+
+    event.preventDefault();
+}
+
 /**
  * Handle date picker change
  */
 function handleDatePickerChange(event) {
-    currentDate = new Date(event.target.value + 'T12:00:00');
-    updateDateText();
+    if (!event.target.value) return;
+
+    currentDate = window.TideTime.parseDateKey(event.target.value);
+    updateUrl({ push: true });
     loadTideData();
 }
 
 /**
- * Toggle between meters and feet
+ * Toggle between meters and feet (remembered as the preferred unit)
  */
 function toggleUnit() {
-    currentUnit = currentUnit === 'meters' ? 'feet' : 'meters';
-    // Button text stays the same: "Metric / Imperial"
+    setUnit(currentUnit === 'meters' ? 'feet' : 'meters');
+}
+
+/**
+ * Switch units, save the preference and re-render
+ */
+function setUnit(unit) {
+    currentUnit = unit;
+    window.TidePreferences.savePreferences({ unit });
+    updateUnitToggle();
+    updateUrl();
     renderAllComponents(); // Re-render everything with new units
 }
 
+/**
+ * Mark the active unit on the unit toggle
+ */
+function updateUnitToggle() {
+    const toggle = document.getElementById('unit-toggle');
+
+    toggle.querySelectorAll('[data-unit]').forEach(option => {
+        option.classList.toggle('unit-active', option.dataset.unit === currentUnit);
+    });
+    toggle.setAttribute('aria-label', window.TideI18n.t(currentUnit === 'meters' ? 'units.toggleMetric' : 'units.toggleImperial'));
+}
+
+/**
+ * Switch between English and French (remembered as the preferred language)
+ */
+function toggleLanguage() {
+    window.TideI18n.setLanguage(window.TideI18n.getLanguage() === 'fr' ? 'en' : 'fr');
+    window.TideI18n.applyTranslations();
+    updateLanguageToggle();
+    updateUnitToggle();
+    updateSourceBadge();
+    renderAllComponents();
+}
+
+/**
+ * Label the language toggle with the language it switches to
+ */
+function updateLanguageToggle() {
+    const toggle = document.getElementById('language-toggle');
+    const other = window.TideI18n.getLanguage() === 'fr' ? 'en' : 'fr';
+
+    toggle.textContent = window.TideI18n.t('language.switch');
+    toggle.setAttribute('lang', other);
+    toggle.setAttribute('aria-label', window.TideI18n.t('language.switchLabel'));
+}
+
+/**
+ * Handle station picker change (keeps the selected calendar date in the new station's zone)
+ */
+function handleStationChange(event) {
+    const selectedDate = window.TideTime.dateKey(currentDate);
+
+    currentStationId = event.target.value;
+    updateStationText();
+    currentDate = window.TideTime.parseDateKey(selectedDate);
+    updateUrl();
+    loadTideData();
+}
+
 /**
  * Handle refresh button
  */
 async function handleRefresh() {
-    window.TideAPI.clearCache();
+    window.TideAPI.invalidateCache();
     await loadTideData();
 }
 
+/**
+ * Refresh on schedule: new observations every 15 minutes, and today's series at midnight
+ * When viewing today (no date in the URL), the view moves on to the new day
+ */
+function handleScheduledRefresh(reason) {
+    if (reason === 'rollover' && !new URLSearchParams(window.location.search).has('date')) {
+        setDateToToday();
+        updateUrl();
+    }
+
+    window.TideAPI.invalidateCache('observations');
+    loadTideData({ quiet: true });
+}
+
+/**
+ * Re-render once fresh data replaces stale cached data
+ */
+function handleDataRevalidated(event) {
+    if (event.detail.stationId !== currentStationId) return;
+
+    // Predictions and observations revalidate separately; reload once for both
+    clearTimeout(quietReloadTimeout);
+    quietReloadTimeout = setTimeout(() => loadTideData({ quiet: true }), 250);
+}
+
+/**
+ * Show the cached data badge when revalidation fails
+ */
+function handleDataOffline(event) {
+    if (event.detail.stationId !== currentStationId) return;
+    showCacheBadge(new Date(event.detail.timestamp));
+}
+
 /**
  * Load tide data for current date
+ * Quiet loads skip the loading spinner (used for background refreshes)
+ * Starting a load cancels any load still in progress, so only the latest date renders
  */
-async function loadTideData() {
-    showLoading();
+async function loadTideData(options = {}) {
+    if (loadController) loadController.abort();
+    loadController = new AbortController();
+    const { signal } = loadController;
+
+    if (!options.quiet) showLoading();
 
     try {
-        // Always load today's data for the header status
-        const today = new Date();
-        const isToday = currentDate.toDateString() === today.toDateString();
-
-        if (isToday) {
-            // If viewing today, load once and use for both
-            const data = await window.TideAPI.fetchTideData(currentDate);
-            const merged = window.TideCalc.mergeTideData(data.predictions, data.observations);
-            tideData = merged;
-            todayTideData = merged;
-        } else {
-            // If viewing another date, load both today's data and the selected date's data
-            const [todayData, selectedData] = await Promise.all([
-                window.TideAPI.fetchTideData(today),
-                window.TideAPI.fetchTideData(currentDate)
-            ]);
-
-            todayTideData = window.TideCalc.mergeTideData(todayData.predictions, todayData.observations);
-            tideData = window.TideCalc.mergeTideData(selectedData.predictions, selectedData.observations);
+        // Always load from today onwards for the header status, and the
+        // selected date with its neighbours so windows can span midnight
+        const [statusData, contextData] = await Promise.all([
+            window.TideAPI.fetchTideRange(window.TideClock.now(), STATUS_LOOKAHEAD_DAYS + 1, currentStationId, { signal }),
+            window.TideAPI.fetchTideRange(window.TideTime.addDays(currentDate, -1), 3, currentStationId, { signal })
+        ]);
+
+        // Cached data can resolve after a newer load started
+        if (signal.aborted) return;
+
+        statusTideData = window.TideCalc.mergeTideData(statusData.predictions, statusData.observations);
+        contextTideData = window.TideCalc.mergeTideData(contextData.predictions, contextData.observations);
+        tideData = contextTideData.filter(entry => window.TideTime.isSameDay(entry.time, currentDate));
+
+        // Access windows use the full-resolution series for exact crossing times
+        statusSeries = window.TideCalc.toPredictionSeries(statusData.predictions);
+        contextSeries = window.TideCalc.toPredictionSeries(contextData.predictions);
+        currentResidual = window.TideCalc.getCurrentResidual(statusTideData);
+
+        if (!statusData.cachedAt && !contextData.cachedAt) {
+            hideCacheBadge();
+            lastUpdated = new Date(Math.min(statusData.fetchedAt, contextData.fetchedAt));
         }
 
         renderAllComponents();
         hideLoading();
     } catch (error) {
+        // A newer load replaced this one and will render instead
+        if (window.TideHttp.isAbortError(error)) return;
+
         console.error('Error loading tide data:', error);
-        showError('Failed to load tide data. Please try again.');
+        showError(window.TideI18n.t('error.load'));
         hideLoading();
     }
 }
@@ -132,18 +531,23 @@ async function loadTideData() {
  * Render all UI components
  */
 function renderAllComponents() {
+    updateLegend();
+    updateLastUpdated();
     updateHeaderStatus();
+    updateForecastLabel();
     updateDateTideSummary();
+    renderTideChart();
     updateAccessWindows();
     renderTideTable();
     startCountdownTimer();
+    scheduleWindowAlerts();
 }
 
 /**
- * Update header status bar (always shows TODAY's status)
+ * Update header status bar (always shows the CURRENT status)
  */
 function updateHeaderStatus() {
-    const status = window.TideCalc.getCurrentAccessStatus(todayTideData);
+    const status = window.TideCalc.getCurrentAccessStatus(statusTideData, null, getAccessCriteria());
     const headerStatus = document.getElementById('header-status');
     const statusText = document.getElementById('header-status-text');
     const tideLevel = document.getElementById('header-tide-level');
@@ -153,26 +557,64 @@ function updateHeaderStatus() {
 
     if (status.accessible) {
         headerStatus.classList.add('accessible');
-        statusText.textContent = '✓ Accessible';
+        statusText.textContent = window.TideI18n.t('status.accessible');
     } else {
         headerStatus.classList.add('not-accessible');
-        statusText.textContent = '✗ Not Accessible';
+        statusText.textContent = window.TideI18n.t('status.notAccessible');
     }
 
     if (status.tide !== null) {
         tideLevel.textContent = `${window.TideCalc.formatHeight(status.tide, currentUnit)}`;
     }
 
-    const trend = window.TideCalc.getTideTrend(todayTideData);
+    const trend = window.TideCalc.getTideTrend(statusTideData);
     if (trend === 'rising') {
-        trendIcon.textContent = '↑ Rising';
+        trendIcon.textContent = window.TideI18n.t('status.rising');
     } else if (trend === 'falling') {
-        trendIcon.textContent = '↓ Falling';
+        trendIcon.textContent = window.TideI18n.t('status.falling');
     } else {
         trendIcon.textContent = '';
     }
 }
 
+/**
+ * Check whether windows and countdown use the observation-corrected curve
+ */
+function isAdjustedForecastActive() {
+    return adjustedForecast && currentResidual !== null;
+}
+
+/**
+ * Get the series used for access windows and countdown (adjusted when enabled)
+ */
+function getForecastSeries(series) {
+    return isAdjustedForecastActive() ? window.TideCalc.applyResidual(series, currentResidual) : series;
+}
+
+/**
+ * Update the header label describing which forecast is in use
+ */
+function updateForecastLabel() {
+    const label = document.getElementById('header-forecast');
+
+    if (!adjustedForecast) {
+        label.textContent = '';
+    } else if (currentResidual === null) {
+        label.textContent = window.TideI18n.t('forecast.unavailable');
+    } else {
+        label.textContent = window.TideI18n.t('forecast.offset', { offset: formatSignedHeight(currentResidual.value) });
+    }
+}
+
+/**
+ * Handle toggling the adjusted forecast in settings
+ */
+function handleAdjustedForecastChange(event) {
+    adjustedForecast = event.target.checked;
+    window.TidePreferences.savePreferences({ adjustedForecast });
+    renderAllComponents();
+}
+
 /**
  * Update countdown timer
  */
@@ -183,121 +625,348 @@ function startCountdownTimer() {
     }
 
     updateCountdown();
+    updateObservationStatus();
 
     // Update every second
-    countdownInterval = setInterval(updateCountdown, 1000);
+    countdownInterval = setInterval(() => {
+        updateCountdown();
+        updateObservationStatus();
+    }, 1000);
 }
 
 /**
- * Update countdown display in header (always shows TODAY's countdown)
+ * Update countdown display in header (always counts down from NOW across the lookahead days)
  */
 function updateCountdown() {
-    const countdown = window.TideCalc.getCountdown(todayTideData);
+    const countdown = window.TideCalc.getCountdown(getForecastSeries(statusSeries), null, getAccessCriteria());
     const countdownElement = document.getElementById('header-countdown');
 
+    announceStatusChange(countdown);
+
     if (!countdown) {
-        countdownElement.textContent = 'No upcoming access windows today';
+        countdownElement.textContent = window.TideI18n.t('status.noWindows', { days: STATUS_LOOKAHEAD_DAYS });
         return;
     }
 
     const timeStr = window.TideCalc.formatCountdown(countdown.ms);
+    const tripSettings = window.TideTrip.getTripSettings();
+
+    if (countdown.type === 'window-closing' && tripSettings.leaveCountdown) {
+        // Count down to the trip's must-leave time instead of the window closing
+        const leaveMs = window.TideTrip.planTrip(countdown.window, tripSettings).mustLeave - window.TideClock.now();
+        countdownElement.textContent = leaveMs > 0
+            ? window.TideI18n.t('status.leaveIn', { time: window.TideCalc.formatCountdown(leaveMs) })
+            : window.TideI18n.t('status.leaveNow');
+    } else if (countdown.type === 'window-closing') {
+        countdownElement.textContent = window.TideI18n.t('status.closesIn', { time: timeStr });
+    } else {
+        countdownElement.textContent = window.TideI18n.t('status.nextAccessIn', { time: timeStr });
+    }
+}
+
+/**
+ * Show the age of the latest gauge reading, and say when the status falls back to predictions
+ * (no readings, a stale gauge or a reading that failed quality control)
+ */
+function updateObservationStatus() {
+    const element = document.getElementById('header-observation');
+    const now = window.TideClock.now();
+    const status = window.TideCalc.getCurrentAccessStatus(statusTideData, now, getAccessCriteria());
+    const latest = window.TideCalc.getLatestObservation(statusTideData, now);
+    const age = latest ? formatDuration(now - latest.time) : null;
+    let key;
 
-    if (countdown.type === 'window-closing') {
-        countdownElement.textContent = `Window closes in ${timeStr}`;
+    if (status.source === 'observation') {
+        key = 'observation.live';
+    } else if (!latest) {
+        key = 'observation.none';
+    } else if (window.TideCalc.isObservationStale(latest.time, now)) {
+        key = 'observation.stale';
+    } else if (latest.suspect) {
+        key = 'observation.suspect';
     } else {
-        countdownElement.textContent = `Next access in ${timeStr}`;
+        key = 'observation.recent';
+    }
+
+    element.textContent = status.source === null ? '' : window.TideI18n.t(key, { age });
+    element.classList.toggle('observation-fallback', status.source === 'prediction');
+}
+
+/**
+ * Announce meaningful window changes to screen readers: opened, closing soon and closed
+ * The first update only records the state, so loading the page is not announced
+ */
+function announceStatusChange(countdown) {
+    const open = countdown !== null && countdown.type === 'window-closing';
+    const closingSoon = open && countdown.ms <= CLOSING_SOON_MINUTES * 60 * 1000;
+    let message = null;
+
+    if (announcedStatus) {
+        if (open && !announcedStatus.open) {
+            message = closingSoon
+                ? window.TideI18n.t('announce.openClosing', { time: window.TideCalc.formatCountdown(countdown.ms) })
+                : window.TideI18n.t('announce.open');
+        } else if (!open && announcedStatus.open) {
+            message = window.TideI18n.t('announce.closed');
+        } else if (closingSoon && !announcedStatus.closingSoon) {
+            message = window.TideI18n.t('window.closesInMinutes', { minutes: CLOSING_SOON_MINUTES });
+        }
+    }
+
+    if (message) {
+        document.getElementById('status-announcer').textContent = message;
     }
+    announcedStatus = { open, closingSoon };
 }
 
 /**
  * Update combined date and tide summary
  */
 function updateDateTideSummary() {
-    const { high, low } = window.TideCalc.findHighLowTides(tideData);
+    const turningPoints = getSelectedDayTurningPoints();
     const summaryElement = document.getElementById('date-tide-text');
 
-    const options = { weekday: 'long', year: 'numeric', month: 'short', day: 'numeric' };
-    const formattedDate = currentDate.toLocaleDateString('en-US', options);
-    const parts = formattedDate.split(', ');
-    const dayName = parts[0];
-    const monthDay = parts[1];
-    const year = parts[2];
-    const dateStr = `${dayName} - ${monthDay}, ${year}`;
-
-    if (high && low) {
-        const highStr = `High: ${high.timeString} (${window.TideCalc.formatHeight(high.prediction, currentUnit)})`;
-        const lowStr = `Low: ${low.timeString} (${window.TideCalc.formatHeight(low.prediction, currentUnit)})`;
-        summaryElement.innerHTML = `<strong>${dateStr}</strong><br>${highStr} &nbsp;|&nbsp; ${lowStr}`;
+    const dateStr = window.TideTime.formatDate(currentDate, { weekday: 'long', year: 'numeric', month: 'short', day: 'numeric' });
+
+    const sunStr = formatSunTimes();
+
+    if (turningPoints.length > 0) {
+        const tideStrs = turningPoints.map(point => {
+            const label = window.TideI18n.t(point.type === 'high' ? 'summary.high' : 'summary.low');
+            const time = window.TideTime.formatTime(point.time);
+            return `<span class="turning-point">${label}: ${time} (${window.TideCalc.formatHeight(point.prediction, currentUnit)})</span>`;
+        });
+        summaryElement.innerHTML = `<strong>${dateStr}</strong><br>${tideStrs.join(' &nbsp;|&nbsp; ')}<br>${sunStr}`;
     } else {
-        summaryElement.textContent = dateStr;
+        summaryElement.innerHTML = `<strong>${dateStr}</strong><br>${sunStr}`;
     }
 }
 
+/**
+ * Format sunrise, sunset and civil twilight for the selected date and station
+ */
+function formatSunTimes() {
+    const station = window.TideStations.getStation(currentStationId);
+    const times = window.TideSun.getSunTimes(currentDate, station.latitude, station.longitude);
+    const format = time => time ? window.TideTime.formatTime(time) : '-';
+
+    const { t } = window.TideI18n;
+
+    return `<span class="sun-times">☀ ${t('summary.sunrise')} ${format(times.sunrise)} &nbsp;|&nbsp; ${t('summary.sunset')} ${format(times.sunset)}` +
+        ` &nbsp;|&nbsp; ${t('summary.twilight')} ${format(times.civilDawn)} - ${format(times.civilDusk)}</span>`;
+}
+
+/**
+ * Get the start and end of the selected station day
+ */
+function getSelectedDayRange() {
+    const dayStart = window.TideTime.startOfDay(currentDate);
+    return { dayStart, dayEnd: window.TideTime.addDays(dayStart, 1) };
+}
+
+/**
+ * Get access windows overlapping the selected day
+ * Windows are found across the neighbouring days so ones spanning midnight stay whole
+ */
+function getSelectedDayWindows() {
+    const { dayStart, dayEnd } = getSelectedDayRange();
+    const station = window.TideStations.getStation(currentStationId);
+    const accessWindows = window.TideCalc.findAccessWindows(getForecastSeries(contextSeries), getAccessCriteria())
+        .filter(window => window.end >= dayStart && window.start < dayEnd);
+
+    return window.TideSun.tagWindows(accessWindows, station.latitude, station.longitude);
+}
+
+/**
+ * Get the highs and lows on the selected day
+ * Detected across the neighbouring days so turning points near midnight are found
+ */
+function getSelectedDayTurningPoints() {
+    return window.TideCalc.findTurningPoints(contextSeries)
+        .filter(point => window.TideTime.isSameDay(point.time, currentDate));
+}
+
+/**
+ * Render tide chart for the selected day
+ */
+function renderTideChart() {
+    const { dayStart, dayEnd } = getSelectedDayRange();
+
+    const series = contextSeries.filter(entry => entry.time >= dayStart && entry.time <= dayEnd);
+
+    window.TideChart.renderChart(document.getElementById('tide-chart'), {
+        series,
+        adjustedSeries: isAdjustedForecastActive() ? getForecastSeries(series) : null,
+        observations: tideData.filter(entry => entry.observation !== null),
+        windows: getSelectedDayWindows(),
+        criteria: getAccessCriteria(),
+        unit: currentUnit,
+        now: window.TideClock.now(),
+        dayStart,
+        dayEnd
+    });
+}
+
 /**
  * Update access windows display
  */
 function updateAccessWindows() {
-    const accessWindows = window.TideCalc.findAccessWindows(tideData);
+    const allWindows = getSelectedDayWindows();
+    const accessWindows = darkWindowMode === 'hide'
+        ? allWindows.filter(window => window.light !== 'dark')
+        : allWindows;
+    const hiddenCount = allWindows.length - accessWindows.length;
     const windowsElement = document.getElementById('access-windows');
 
     if (accessWindows.length === 0) {
-        windowsElement.innerHTML = '<p class="no-windows">No access windows today</p>';
+        const message = hiddenCount > 0
+            ? window.TideI18n.t('windows.noneHidden', { count: hiddenCount })
+            : window.TideI18n.t('windows.none');
+        windowsElement.innerHTML = `<p class="no-windows">${message}</p>`;
         return;
     }
 
     let html = '<div class="windows-list">';
 
     accessWindows.forEach(window => {
-        const startTime = window.start.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
-        const endTime = window.end.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+        const startTime = formatWindowTime(window.start);
+        const endTime = formatWindowTime(window.end);
 
-        // Format duration in hours and minutes
-        const durationMs = window.end - window.start;
-        const hours = Math.floor(durationMs / (1000 * 60 * 60));
-        const minutes = Math.round((durationMs % (1000 * 60 * 60)) / (1000 * 60));
+        const durationStr = formatDuration(window.end - window.start);
 
-        let durationStr = '';
-        if (hours > 0) {
-            durationStr = `${hours}h ${minutes}m`;
-        } else {
-            durationStr = `${minutes}m`;
-        }
+        const dimClass = darkWindowMode === 'dim' && window.light === 'dark' ? ' window-dimmed' : '';
 
-        html += `<div class="access-window">${startTime} - ${endTime} <span class="duration">(${durationStr})</span></div>`;
+        html += `<div class="access-window window-${window.light}${dimClass}">` +
+            `<span>${startTime} - ${endTime} <span class="duration">(${durationStr})</span></span>` +
+            `<span class="light-tag">${formatLightLabel(window.light)}</span></div>`;
     });
 
     html += '</div>';
+
+    if (hiddenCount > 0) {
+        html += `<p class="hidden-windows-note">${window.TideI18n.t('windows.hidden', { count: hiddenCount })}</p>`;
+    }
+
     windowsElement.innerHTML = html;
 }
 
+/**
+ * Label a window's light condition, e.g. "☀ Daylight"
+ */
+function formatLightLabel(light) {
+    return `${LIGHT_SYMBOLS[light]} ${window.TideI18n.t(`light.${light}`)}`;
+}
+
+/**
+ * Handle changing how windows in the dark are displayed
+ */
+function handleDarkWindowChange(event) {
+    darkWindowMode = event.target.value;
+    window.TidePreferences.savePreferences({ darkWindows: darkWindowMode });
+    updateAccessWindows();
+}
+
+/**
+ * Schedule alerts for the upcoming access windows (rescheduled on every render)
+ */
+function scheduleWindowAlerts() {
+    const upcomingWindows = window.TideCalc.findAccessWindows(getForecastSeries(statusSeries), getAccessCriteria());
+    window.TideAlerts.scheduleAlerts(upcomingWindows, showAlertBanner);
+}
+
+/**
+ * Handle changes to the alert settings
+ */
+async function handleAlertSettingsChange() {
+    const enabled = document.getElementById('alerts-enabled').checked;
+    const status = document.getElementById('alerts-status');
+
+    window.TideAlerts.saveAlertSettings({
+        enabled,
+        openLeadMinutes: Math.max(0, parseInt(document.getElementById('alerts-open-lead').value, 10) || 0),
+        closeLeadMinutes: Math.max(0, parseInt(document.getElementById('alerts-close-lead').value, 10) || 0),
+        sound: document.getElementById('alerts-sound').checked
+    });
+
+    status.textContent = '';
+    if (enabled) {
+        const permission = await window.TideAlerts.enableAlerts();
+        if (permission !== 'granted') {
+            status.textContent = window.TideI18n.t('settings.alertsBlocked');
+        }
+    }
+
+    scheduleWindowAlerts();
+}
+
+/**
+ * Show the in-page alarm banner
+ */
+function showAlertBanner(alert) {
+    const banner = document.getElementById('alert-banner');
+    document.getElementById('alert-message').textContent = alert.message;
+    banner.className = `alert-banner alert-${alert.type}`;
+    banner.style.display = 'flex';
+}
+
+/**
+ * Hide the in-page alarm banner
+ */
+function hideAlertBanner() {
+    document.getElementById('alert-banner').style.display = 'none';
+}
+
+/**
+ * Format an access window time, naming the day when it is not the selected date
+ */
+function formatWindowTime(time) {
+    const timeStr = window.TideTime.formatTime(time);
+
+    if (window.TideTime.isSameDay(time, currentDate)) {
+        return timeStr;
+    }
+
+    return `${window.TideTime.formatDate(time, { weekday: 'short' })} ${timeStr}`;
+}
+
 /**
  * Render tide table
  */
 function renderTideTable() {
     const tableBody = document.getElementById('tide-table-body');
-    const now = new Date();
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const viewingToday = currentDate.toDateString() === today.toDateString();
+    const criteria = getAccessCriteria();
+    const now = window.TideClock.now();
+    const viewingToday = window.TideTime.isSameDay(currentDate, now);
+
+    // Rows at the preferred resolution (15, 30 or 60 minutes)
+    const resolutionMs = window.TidePreferences.getPreference('tableResolution') * 60 * 1000;
+    const rows = tideData.filter(entry => entry.time.getTime() % resolutionMs === 0);
 
-    // Calculate max tide level for gradient
-    const tideLevels = tideData.map(d => d.prediction);
-    const maxTide = Math.max(...tideLevels);
+    // Calculate tide range for gradient
+    const tideLevels = rows.map(d => d.prediction);
+    const tideRange = { min: Math.min(...tideLevels), max: Math.max(...tideLevels) };
 
     let html = '';
     let currentTimeRowId = null;
+    const turningPoints = getSelectedDayTurningPoints();
 
-    tideData.forEach((entry, index) => {
-        // Highlight the current 15-minute interval only when viewing today
-        const isCurrentTime = viewingToday && entry.time <= now && (index === tideData.length - 1 || tideData[index + 1].time > now);
-        const accessibility = window.TideCalc.getAccessibilityLevel(entry.prediction);
-        const bgColor = getGradientColor(entry.prediction, accessibility, maxTide, index);
+    rows.forEach((entry, index) => {
+        // Highlight the current interval only when viewing today
+        const isCurrentTime = viewingToday && entry.time <= now && (index === rows.length - 1 || rows[index + 1].time > now);
+        const accessibility = window.TideCalc.getAccessibilityLevel(entry.prediction, criteria);
+        const bgColor = getGradientColor(entry.prediction, accessibility, tideRange, index, criteria);
 
         const predictionText = window.TideCalc.formatHeight(entry.prediction, currentUnit);
-        const observationText = entry.observation ? window.TideCalc.formatHeight(entry.observation, currentUnit) : '-';
+
+        // Mark the row whose interval contains a high or low
+        const nextTime = index < rows.length - 1 ? rows[index + 1].time : Infinity;
+        const turningPoint = turningPoints.find(point => point.time >= entry.time && point.time < nextTime);
+        const turningTag = turningPoint
+            ? ` <span class="turning-tag turning-${turningPoint.type}">${window.TideI18n.t(turningPoint.type === 'high' ? 'summary.high' : 'summary.low')}</span>`
+            : '';
 
         const rowClass = isCurrentTime ? 'current-time' : '';
-        const rowId = isCurrentTime ? 'id="current-time-row"' : '';
+        const rowId = isCurrentTime ? 'id="current-time-row" aria-current="time"' : '';
 
         if (isCurrentTime) {
             currentTimeRowId = 'current-time-row';
@@ -305,9 +974,10 @@ function renderTideTable() {
 
         html += `
             <tr ${rowId} class="${rowClass}" style="background-color: ${bgColor}">
-                <td>${entry.timeString}</td>
+                <td>${window.TideTime.formatTime(entry.time, { hour: '2-digit', minute: '2-digit' })}${turningTag}</td>
                 <td>${predictionText}</td>
-                <td>${observationText}</td>
+                ${formatObservationCell(entry)}
+                <td class="status-cell">${window.TideI18n.t(ACCESS_LABELS[accessibility])}</td>
             </tr>
         `;
     });
@@ -329,10 +999,11 @@ function renderTideTable() {
             }
         } else {
             // Scroll to 10am row for other days
-            const tenAmRow = Array.from(tableBody.querySelectorAll('tr')).find(row => {
-                const timeText = row.querySelector('td')?.textContent;
-                return timeText && timeText.includes('10:00 AM');
+            const tenAmIndex = rows.findIndex(entry => {
+                const parts = window.TideTime.getParts(entry.time);
+                return parts.hour === 10 && parts.minute === 0;
             });
+            const tenAmRow = tableBody.querySelectorAll('tr')[tenAmIndex];
             if (tenAmRow && tableContainer) {
                 const rowTop = tenAmRow.offsetTop;
                 tableContainer.scrollTop = rowTop - 50; // Offset for header
@@ -341,38 +1012,52 @@ function renderTideTable() {
     }, 100);
 }
 
+/**
+ * Render a table row's observation cell, marking suspect readings and gaps
+ */
+function formatObservationCell(entry) {
+    if (entry.observation !== null) {
+        const height = window.TideCalc.formatHeight(entry.observation, currentUnit);
+        return entry.observationSuspect
+            ? `<td class="observation-suspect">${height} <span class="qc-tag">${window.TideI18n.t('table.suspect')}</span></td>`
+            : `<td>${height}</td>`;
+    }
+
+    return entry.observationGap
+        ? `<td class="observation-gap">${window.TideI18n.t('table.missing')}</td>`
+        : '<td>-</td>';
+}
+
 /**
  * Calculate gradient color based on tide level and accessibility
  */
-function getGradientColor(tide, accessibility, maxTide, rowIndex) {
+function getGradientColor(tide, accessibility, tideRange, rowIndex, criteria) {
     const even = rowIndex % 2 === 0;
-    const accessThreshold = 1.1;
+    const margin = window.TideCalc.getAccessMargin(tide, criteria);
+    const marginalRange = window.TideCalc.MARGINAL_RANGE;
 
     if (accessibility === 'accessible') {
-        // Green gradient: darker green for lower tides, lighter/whiter near 1.1m for smooth transition to orange
-        const normalizedTide = tide / accessThreshold; // 0 at low tide, 1 at 1.1m
-        const greenValue = Math.round(100 + normalizedTide * 120); // 100-220 (always green, but lighter as tide rises)
+        // Green gradient: darker green further past the threshold, lighter/whiter near it for smooth transition to orange
+        const depth = criteria.mode === 'above' ? tideRange.max - criteria.threshold : criteria.threshold;
+        const normalizedTide = depth > 0 ? 1 - Math.min(1, margin / depth) : 1; // 0 furthest from threshold, 1 at threshold
+        const greenValue = Math.round(100 + normalizedTide * 120); // 100-220 (always green, but lighter near threshold)
         const whiteningValue = Math.round(normalizedTide * 100); // 0-100 (add white as approaching threshold)
         const base = even ? 0 : 10;
         return `rgb(${whiteningValue + base}, ${greenValue}, ${whiteningValue + base})`;
+    } else if (accessibility === 'marginal') {
+        // Orange zone just past the threshold (1.1-1.5m for the weir)
+        const orangePosition = -margin / marginalRange; // 0-1 over the marginal range
+        const orangeValue = Math.round(200 - orangePosition * 50); // 200-150
+        const base = even ? 0 : -10;
+        return `rgb(255, ${orangeValue + base}, 100)`;
     } else {
-        // Not accessible: gradient from light orange (just above 1.1m) to white-blue (highest tides)
-        const range = maxTide - accessThreshold;
-        const position = Math.min(1, (tide - accessThreshold) / range);
-
-        if (tide <= 1.5) {
-            // Orange zone for 1.1-1.5m
-            const orangePosition = (tide - accessThreshold) / 0.4; // 0-1 over 0.4m range
-            const orangeValue = Math.round(200 - orangePosition * 50); // 200-150
-            const base = even ? 0 : -10;
-            return `rgb(255, ${orangeValue + base}, 100)`;
-        } else {
-            // White-blue gradient for >1.5m: whiter as it approaches window
-            const blueValue = Math.round(210 + position * 45); // 210-255
-            const whiteValue = Math.round(255 - position * 40); // 255-215
-            const base = even ? 0 : -5;
-            return `rgb(${whiteValue + base}, ${whiteValue + base}, ${blueValue})`;
-        }
+        // White-blue gradient beyond the marginal zone: whiter as it approaches window
+        const range = criteria.mode === 'above' ? criteria.threshold - tideRange.min : tideRange.max - criteria.threshold;
+        const position = Math.min(1, -margin / range);
+        const blueValue = Math.round(210 + position * 45); // 210-255
+        const whiteValue = Math.round(255 - position * 40); // 255-215
+        const base = even ? 0 : -5;
+        return `rgb(${whiteValue + base}, ${whiteValue + base}, ${blueValue})`;
     }
 }
 
@@ -392,6 +1077,683 @@ function hideLoading() {
     document.getElementById('content').style.opacity = '1';
 }
 
+/**
+ * Format a height difference with its sign, e.g. "+0.12m"
+ */
+function formatSignedHeight(meters) {
+    return `${meters >= 0 ? '+' : '-'}${window.TideCalc.formatHeight(Math.abs(meters), currentUnit)}`;
+}
+
+/**
+ * Describe access criteria as a comparison, e.g. "≤1.10m"
+ */
+function formatCriteria(criteria, unit = currentUnit, negate = false) {
+    const above = criteria.mode === 'above';
+    const symbol = negate ? (above ? '<' : '>') : (above ? '≥' : '≤');
+    return `${symbol}${window.TideCalc.formatHeight(criteria.threshold, unit)}`;
+}
+
+/**
+ * Update legend and access windows label for the active profile
+ */
+function updateLegend() {
+    const criteria = getAccessCriteria();
+    const profile = window.TideProfiles.getActiveProfile();
+
+    const { t } = window.TideI18n;
+    const marginalRange = window.TideCalc.MARGINAL_RANGE;
+
+    document.getElementById('legend-accessible-text').textContent = t('legend.accessible',
+        { meters: formatCriteria(criteria, 'meters'), feet: formatCriteria(criteria, 'feet') });
+    document.getElementById('legend-marginal-text').textContent = t('legend.nearThreshold',
+        { meters: window.TideCalc.formatHeight(marginalRange, 'meters'), feet: window.TideCalc.formatHeight(marginalRange, 'feet') });
+    document.getElementById('legend-not-text').textContent = t('legend.notAccessible',
+        { meters: formatCriteria(criteria, 'meters', true), feet: formatCriteria(criteria, 'feet', true) });
+    document.getElementById('legend-note').textContent = t(criteria.mode === 'above' ? 'legend.noteAbove' : 'legend.noteBelow');
+    document.getElementById('profile-label').textContent =
+        `${window.TideProfiles.getProfileName(profile)} (${formatCriteria(criteria)})`;
+}
+
+/**
+ * Escape text for use in HTML markup
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Render the profile list in the settings panel
+ */
+function renderProfileList() {
+    const station = window.TideStations.getStation(currentStationId);
+    const activeProfile = window.TideProfiles.getActiveProfile();
+
+    document.getElementById('profile-list').innerHTML = window.TideProfiles.getProfiles().map(profile => {
+        const criteria = window.TideProfiles.getCriteria(profile, station);
+        const name = escapeHtml(window.TideProfiles.getProfileName(profile));
+        const checked = profile.id === activeProfile.id ? 'checked' : '';
+        const deleteButton = profile.builtIn
+            ? ''
+            : `<button type="button" class="profile-delete" data-profile-id="${profile.id}" aria-label="${window.TideI18n.t('profile.delete', { name })}">✕</button>`;
+
+        return `
+            <li class="profile-item">
+                <label>
+                    <input type="radio" name="active-profile" value="${profile.id}" ${checked}>
+                    <span>${name} <span class="profile-criteria">${formatCriteria(criteria)}</span></span>
+                </label>
+                ${deleteButton}
+            </li>
+        `;
+    }).join('');
+
+    document.getElementById('profile-height-unit').textContent =
+        window.TideI18n.t(currentUnit === 'feet' ? 'units.feetSymbol' : 'units.metersSymbol');
+}
+
+/**
+ * Use a time format preference ('12h', '24h' or null for the language's own) for all times
+ */
+function applyTimeFormat(timeFormat) {
+    window.TideTime.setHour12(timeFormat === null ? null : timeFormat === '12h');
+}
+
+/**
+ * Show settings panel
+ */
+function showSettings() {
+    const preferences = window.TidePreferences.getPreferences();
+
+    document.getElementById('pref-unit').value = currentUnit;
+    document.getElementById('pref-time-format').value = preferences.timeFormat || '';
+    document.getElementById('pref-table-resolution').value = String(preferences.tableResolution);
+    document.getElementById('pref-station').innerHTML = window.TideStations.listStations()
+        .map(station => `<option value="${station.id}">${station.name}</option>`)
+        .join('');
+    document.getElementById('pref-station').value = isKnownStation(preferences.stationId)
+        ? preferences.stationId
+        : window.TideStations.DEFAULT_STATION_ID;
+    document.getElementById('pref-open-on').value = preferences.openOn;
+
+    renderProfileList();
+    document.getElementById('adjusted-forecast').checked = adjustedForecast;
+    document.getElementById('dark-windows').value = darkWindowMode;
+
+    const alertSettings = window.TideAlerts.getAlertSettings();
+    document.getElementById('alerts-enabled').checked = alertSettings.enabled;
+    document.getElementById('alerts-open-lead').value = alertSettings.openLeadMinutes;
+    document.getElementById('alerts-close-lead').value = alertSettings.closeLeadMinutes;
+    document.getElementById('alerts-sound').checked = alertSettings.sound;
+    document.getElementById('settings-modal').style.display = 'flex';
+}
+
+/**
+ * Handle changes to the display preferences
+ */
+function handleDisplayPreferenceChange() {
+    const timeFormat = document.getElementById('pref-time-format').value || null;
+
+    window.TidePreferences.savePreferences({
+        timeFormat,
+        tableResolution: parseInt(document.getElementById('pref-table-resolution').value, 10),
+        stationId: document.getElementById('pref-station').value,
+        openOn: document.getElementById('pref-open-on').value
+    });
+    applyTimeFormat(timeFormat);
+
+    const unit = document.getElementById('pref-unit').value;
+    if (unit !== currentUnit) {
+        setUnit(unit);
+    } else {
+        renderAllComponents();
+    }
+}
+
+/**
+ * Hide settings panel
+ */
+function hideSettings() {
+    document.getElementById('settings-modal').style.display = 'none';
+}
+
+/**
+ * Handle choosing a profile in the settings panel
+ */
+function handleProfileSelect(event) {
+    if (event.target.name !== 'active-profile') return;
+
+    window.TideProfiles.setActiveProfile(event.target.value);
+    renderAllComponents();
+}
+
+/**
+ * Handle deleting a custom profile
+ */
+function handleProfileDelete(event) {
+    const button = event.target.closest('.profile-delete');
+    if (!button) return;
+
+    window.TideProfiles.removeProfile(button.dataset.profileId);
+    renderProfileList();
+    renderAllComponents();
+}
+
+/**
+ * Handle adding a custom profile (height entered in the current unit)
+ */
+function handleProfileAdd(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const height = parseFloat(form.elements['profile-height'].value);
+    const threshold = currentUnit === 'feet' ? window.TideCalc.feetToMeters(height) : height;
+    const profile = window.TideProfiles.addProfile(form.elements['profile-name'].value.trim(), threshold, form.elements['profile-mode'].value);
+
+    window.TideProfiles.setActiveProfile(profile.id);
+    form.reset();
+    renderProfileList();
+    renderAllComponents();
+}
+
+/**
+ * Show export panel in a format ('ics', 'csv' or 'json'), defaulting the range to the selected date
+ */
+function showExport(format) {
+    const form = document.getElementById('export-form');
+    form.elements['export-from'].value = window.TideTime.dateKey(currentDate);
+    form.elements['export-to'].value = window.TideTime.dateKey(currentDate);
+    form.elements['export-format'].value = format;
+    updateExportOptions();
+    document.getElementById('export-status').textContent = '';
+    document.getElementById('export-modal').style.display = 'flex';
+}
+
+/**
+ * Show the alarm option only for calendar exports
+ */
+function updateExportOptions() {
+    const format = document.getElementById('export-form').elements['export-format'].value;
+    document.getElementById('export-alarm-option').style.display = format === 'ics' ? '' : 'none';
+}
+
+/**
+ * Hide export panel
+ */
+function hideExport() {
+    document.getElementById('export-modal').style.display = 'none';
+}
+
+/**
+ * Read a date range from two YYYY-MM-DD values
+ * Returns { from, to, days } or null (with a message in `status`) when invalid
+ */
+function getDateRange(fromKey, toKey, status) {
+    const from = window.TideTime.parseDateKey(fromKey);
+    const to = window.TideTime.parseDateKey(toKey);
+    const days = Math.round((to - from) / (24 * 60 * 60 * 1000)) + 1;
+
+    if (days < 1) {
+        status.textContent = window.TideI18n.t('range.order');
+        return null;
+    }
+    if (days > MAX_EXPORT_DAYS) {
+        status.textContent = window.TideI18n.t('range.tooLong', { days: MAX_EXPORT_DAYS });
+        return null;
+    }
+
+    return { from, to, days };
+}
+
+/**
+ * Offer text content as a file download
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Build a download filename for an export range, e.g. shady-tides-2026-07-01-to-2026-07-03.csv
+ */
+function getExportFilename(form, extension) {
+    const from = form.elements['export-from'].value;
+    const to = form.elements['export-to'].value;
+    return `shady-tides-${from}${from === to ? '' : `-to-${to}`}.${extension}`;
+}
+
+/**
+ * Export the chosen range in the chosen format
+ */
+async function handleExport(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const status = document.getElementById('export-status');
+    const range = getDateRange(form.elements['export-from'].value, form.elements['export-to'].value, status);
+    if (!range) return;
+
+    status.textContent = window.TideI18n.t('export.preparing');
+
+    try {
+        if (form.elements['export-format'].value === 'ics') {
+            await exportCalendar(form, range);
+        } else {
+            await exportSeries(form, range);
+        }
+    } catch (error) {
+        console.error('Error exporting tide data:', error);
+        status.textContent = window.TideI18n.t('export.failed');
+    }
+}
+
+/**
+ * Export access windows in a range as an .ics calendar file
+ */
+async function exportCalendar(form, range) {
+    // Include the days either side so windows spanning midnight stay whole
+    const data = await window.TideAPI.fetchTideRange(window.TideTime.addDays(range.from, -1), range.days + 2, currentStationId);
+    const series = getForecastSeries(window.TideCalc.toPredictionSeries(data.predictions));
+    const rangeStart = window.TideTime.startOfDay(range.from);
+    const rangeEnd = window.TideTime.addDays(rangeStart, range.days);
+    const station = window.TideStations.getStation(currentStationId);
+    const criteria = getAccessCriteria();
+
+    let accessWindows = window.TideCalc.findAccessWindows(series, criteria)
+        .filter(window => window.end >= rangeStart && window.start < rangeEnd);
+    accessWindows = window.TideSun.tagWindows(accessWindows, station.latitude, station.longitude);
+    if (darkWindowMode === 'hide') {
+        accessWindows = accessWindows.filter(window => window.light !== 'dark');
+    }
+
+    const calendar = window.TideICS.buildCalendar(accessWindows, {
+        stationId: station.id,
+        stationName: station.name,
+        profileName: window.TideProfiles.getProfileName(window.TideProfiles.getActiveProfile()),
+        criteria,
+        unit: currentUnit,
+        alarmMinutes: form.elements['export-alarm'].checked
+            ? Math.max(0, parseInt(form.elements['export-alarm-minutes'].value, 10) || 0)
+            : null
+    });
+
+    downloadFile(getExportFilename(form, 'ics'), calendar, 'text/calendar');
+    document.getElementById('export-status').textContent = window.TideI18n.t('export.done', { count: accessWindows.length });
+}
+
+/**
+ * Export the merged 15-minute series in a range as CSV or JSON, in the current unit
+ */
+async function exportSeries(form, range) {
+    const format = form.elements['export-format'].value;
+    const data = await window.TideAPI.fetchTideRange(range.from, range.days, currentStationId);
+    const station = window.TideStations.getStation(currentStationId);
+    const series = window.TideCalc.mergeTideData(data.predictions, data.observations);
+
+    const options = {
+        stationId: station.id,
+        stationName: station.name,
+        profileName: window.TideProfiles.getProfileName(window.TideProfiles.getActiveProfile()),
+        criteria: getAccessCriteria(),
+        unit: currentUnit
+    };
+
+    if (format === 'json') {
+        downloadFile(getExportFilename(form, 'json'), window.TideExport.buildJSON(series, options), 'application/json');
+    } else {
+        downloadFile(getExportFilename(form, 'csv'), window.TideExport.buildCSV(series, options), 'text/csv');
+    }
+    document.getElementById('export-status').textContent = window.TideI18n.t('export.rowsDone', { count: series.length });
+}
+
+/**
+ * Show best-days planner
+ */
+function showPlanner() {
+    document.getElementById('planner-modal').style.display = 'flex';
+}
+
+/**
+ * Hide best-days planner
+ */
+function hidePlanner() {
+    document.getElementById('planner-modal').style.display = 'none';
+}
+
+/**
+ * Format a duration in hours and minutes, in the display language
+ */
+function formatDuration(ms) {
+    const hours = Math.floor(ms / (1000 * 60 * 60));
+    const minutes = Math.round((ms % (1000 * 60 * 60)) / (1000 * 60));
+    return hours > 0
+        ? window.TideI18n.t('duration.hoursMinutes', { hours, minutes })
+        : window.TideI18n.t('duration.minutes', { minutes });
+}
+
+/**
+ * Fetch the coming days and rank them by access quality
+ */
+async function handlePlannerSubmit(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const results = document.getElementById('planner-results');
+    const station = window.TideStations.getStation(currentStationId);
+    const criteria = getAccessCriteria();
+    const days = parseInt(form.elements['planner-days'].value, 10);
+    const today = window.TideTime.startOfDay(window.TideClock.now());
+    const dayStarts = [];
+
+    for (let i = 0; i < days; i++) {
+        dayStarts.push(window.TideTime.addDays(today, i));
+    }
+
+    results.innerHTML = `<p class="no-windows">${window.TideI18n.t('planner.loading')}</p>`;
+
+    try {
+        // One extra day so windows running past midnight on the last day stay whole
+        const data = await window.TideAPI.fetchTideRange(today, days + 1, currentStationId);
+        const series = getForecastSeries(window.TideCalc.toPredictionSeries(data.predictions));
+        const ranked = window.TidePlanner.rankDays(dayStarts, series, {
+            criteria,
+            latitude: station.latitude,
+            longitude: station.longitude,
+            weekendsOnly: form.elements['planner-weekends'].checked,
+            earliestHour: parseInt(form.elements['planner-earliest'].value, 10),
+            latestHour: parseInt(form.elements['planner-latest'].value, 10),
+            minimumMinutes: parseInt(form.elements['planner-minimum'].value, 10) || 0
+        });
+
+        renderPlannerResults(ranked, criteria);
+    } catch (error) {
+        console.error('Error planning days:', error);
+        results.innerHTML = `<p class="no-windows">${window.TideI18n.t('planner.failed')}</p>`;
+    }
+}
+
+/**
+ * Render ranked days as a tappable list
+ */
+function renderPlannerResults(ranked, criteria) {
+    const results = document.getElementById('planner-results');
+
+    if (ranked.length === 0) {
+        results.innerHTML = `<p class="no-windows">${window.TideI18n.t('planner.none')}</p>`;
+        return;
+    }
+
+    const { t } = window.TideI18n;
+    const tideKey = criteria.mode === 'above' ? 'planner.highest' : 'planner.lowest';
+
+    results.innerHTML = '<ol class="planner-list">' + ranked.map(day => {
+        const dateStr = window.TideTime.formatDate(day.date, { weekday: 'short', month: 'short', day: 'numeric' });
+        const fitsTag = day.fits ? `<span class="planner-fits">${t('planner.fits')}</span>` : '';
+
+        return `
+            <li>
+                <button type="button" class="planner-day" data-date="${window.TideTime.dateKey(day.date)}">
+                    <span class="planner-date">${dateStr} ${fitsTag}</span>
+                    <span class="planner-stats">
+                        ${t('planner.daylight', { duration: formatDuration(day.daylightMs) })}
+                        · ${t('planner.longest', { duration: formatDuration(day.longestMs) })}
+                        · ${t(tideKey, { height: window.TideCalc.formatHeight(day.bestTide, currentUnit) })}
+                    </span>
+                </button>
+            </li>
+        `;
+    }).join('') + '</ol>';
+}
+
+/**
+ * Jump to a date chosen from the planner results
+ */
+function handlePlannerResultClick(event) {
+    const button = event.target.closest('.planner-day');
+    if (!button) return;
+
+    currentDate = window.TideTime.parseDateKey(button.dataset.date);
+    updateDatePicker();
+    updateUrl({ push: true });
+    hidePlanner();
+    loadTideData();
+}
+
+/**
+ * Show trip planner with the saved settings
+ */
+function showTrip() {
+    const form = document.getElementById('trip-form');
+    const settings = window.TideTrip.getTripSettings();
+
+    form.elements['trip-crossing'].value = settings.crossingMinutes;
+    form.elements['trip-stay'].value = settings.stayMinutes;
+    form.elements['trip-buffer'].value = settings.bufferMinutes;
+    form.elements['trip-leave-countdown'].checked = settings.leaveCountdown;
+    renderTripPlans();
+    document.getElementById('trip-modal').style.display = 'flex';
+}
+
+/**
+ * Hide trip planner
+ */
+function hideTrip() {
+    document.getElementById('trip-modal').style.display = 'none';
+}
+
+/**
+ * Save trip settings as they are edited and update the plans and header countdown
+ */
+function handleTripChange() {
+    const form = document.getElementById('trip-form');
+    const settings = window.TideTrip.getTripSettings();
+    const readMinutes = (name, fallback) => {
+        const value = parseInt(form.elements[name].value, 10);
+        return Number.isNaN(value) ? fallback : Math.max(0, value);
+    };
+
+    window.TideTrip.saveTripSettings({
+        crossingMinutes: readMinutes('trip-crossing', settings.crossingMinutes),
+        stayMinutes: readMinutes('trip-stay', settings.stayMinutes),
+        bufferMinutes: readMinutes('trip-buffer', settings.bufferMinutes),
+        leaveCountdown: form.elements['trip-leave-countdown'].checked
+    });
+
+    renderTripPlans();
+    updateCountdown();
+}
+
+/**
+ * Render a trip plan for each access window on the selected day
+ */
+function renderTripPlans() {
+    const results = document.getElementById('trip-results');
+    const settings = window.TideTrip.getTripSettings();
+    const now = window.TideClock.now();
+    const { t } = window.TideI18n;
+    const accessWindows = getSelectedDayWindows().filter(window => darkWindowMode !== 'hide' || window.light !== 'dark');
+
+    if (accessWindows.length === 0) {
+        results.innerHTML = `<p class="no-windows">${t('windows.none')}</p>`;
+        return;
+    }
+
+    results.innerHTML = accessWindows.map(accessWindow => {
+        const plan = window.TideTrip.planTrip(accessWindow, settings, now);
+        const heading = `<div class="trip-window">${formatWindowTime(accessWindow.start)} - ${formatWindowTime(accessWindow.end)} ` +
+            `<span class="light-tag">${formatLightLabel(accessWindow.light)}</span></div>`;
+
+        if (accessWindow.end <= now) {
+            return `<div class="trip-plan">${heading}<div class="trip-verdict">${t('trip.passed')}</div></div>`;
+        }
+        if (plan.islandMs === 0) {
+            return `<div class="trip-plan">${heading}<div class="trip-verdict">${t('trip.noTime')}</div></div>`;
+        }
+
+        const islandTime = formatDuration(plan.islandMs);
+        let html = `<div class="trip-plan${plan.fits ? ' trip-fits' : ''}">${heading}`;
+
+        if (plan.fits) {
+            html += `<div>${t('trip.depart', { earliest: formatWindowTime(plan.earliestDeparture), latest: formatWindowTime(plan.latestDeparture) })}</div>`;
+        }
+        html += `<div>${t('trip.arrive', { time: formatWindowTime(plan.earliestArrival) })}</div>` +
+            `<div>${t('trip.mustLeave', { time: formatWindowTime(plan.mustLeave) })}</div>` +
+            `<div class="trip-verdict">${t(plan.fits ? 'trip.fits' : 'trip.tooShort', { time: islandTime })}</div></div>`;
+
+        return html;
+    }).join('');
+}
+
+/**
+ * Show prediction accuracy history, defaulting to the last week
+ */
+function showHistory() {
+    const form = document.getElementById('history-form');
+    const today = window.TideTime.noonOf(window.TideClock.now());
+
+    form.elements['history-from'].value = window.TideTime.dateKey(window.TideTime.addDays(today, -6));
+    form.elements['history-to'].value = window.TideTime.dateKey(today);
+    document.getElementById('history-results').innerHTML = '';
+    document.getElementById('history-modal').style.display = 'flex';
+}
+
+/**
+ * Hide prediction accuracy history
+ */
+function hideHistory() {
+    document.getElementById('history-modal').style.display = 'none';
+}
+
+/**
+ * Fetch past predictions and observations and compare them
+ */
+async function handleHistorySubmit(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const results = document.getElementById('history-results');
+    const range = getDateRange(form.elements['history-from'].value, form.elements['history-to'].value, results);
+    if (!range) return;
+
+    if (window.TideTime.dateKey(range.to) > window.TideTime.dateKey(window.TideClock.now())) {
+        results.textContent = window.TideI18n.t('history.future');
+        return;
+    }
+
+    const dayStarts = [];
+    for (let i = 0; i < range.days; i++) {
+        dayStarts.push(window.TideTime.startOfDay(window.TideTime.addDays(range.from, i)));
+    }
+
+    results.innerHTML = `<p class="no-windows">${window.TideI18n.t('history.loading')}</p>`;
+
+    try {
+        const data = await window.TideAPI.fetchTideRange(range.from, range.days, currentStationId);
+        const analysis = window.TideAccuracy.analyzeAccuracy(dayStarts, data.predictions, data.observations, getAccessCriteria());
+        renderHistoryResults(analysis);
+    } catch (error) {
+        console.error('Error comparing predictions:', error);
+        results.innerHTML = `<p class="no-windows">${window.TideI18n.t('history.failed')}</p>`;
+    }
+}
+
+/**
+ * Render the accuracy summary and a per-day table
+ */
+function renderHistoryResults(analysis) {
+    const results = document.getElementById('history-results');
+    const { t } = window.TideI18n;
+    const { stats, shifts } = analysis.overall;
+    const formatStat = value => (value === null ? '-' : window.TideCalc.formatHeight(value, currentUnit));
+    const formatSigned = value => (value === null ? '-' : formatSignedHeight(value));
+    const formatShift = minutes => (minutes === null ? '-' : formatDuration(minutes * 60 * 1000));
+
+    if (stats.count === 0) {
+        results.innerHTML = `<p class="no-windows">${t('history.noData')}</p>`;
+        return;
+    }
+
+    let html = `<p>${t('history.summary', {
+        days: analysis.days.length,
+        bias: formatSigned(stats.bias),
+        rms: formatStat(stats.rms),
+        max: formatSigned(stats.maxDeviation)
+    })}</p>`;
+
+    if (shifts.compared - shifts.missed > 0) {
+        html += `<p>${t('history.shifts', { mean: formatShift(shifts.meanShiftMinutes), max: formatShift(shifts.maxShiftMinutes) })}</p>`;
+    } else {
+        html += `<p>${t('history.noWindows')}</p>`;
+    }
+    if (shifts.missed > 0) {
+        html += `<p>${t('history.missed', { count: shifts.missed })}</p>`;
+    }
+
+    html += `
+        <div class="history-table-container">
+            <table class="history-table">
+                <thead>
+                    <tr>
+                        <th scope="col">${t('history.date')}</th>
+                        <th scope="col">${t('history.bias')}</th>
+                        <th scope="col">${t('history.rms')}</th>
+                        <th scope="col">${t('history.max')}</th>
+                        <th scope="col">${t('history.rolling', { days: window.TideAccuracy.ROLLING_DAYS })}</th>
+                        <th scope="col">${t('history.shift')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+    `;
+
+    analysis.days.forEach(day => {
+        html += `
+            <tr>
+                <td>${window.TideTime.formatDate(day.date, { weekday: 'short', month: 'short', day: 'numeric' })}</td>
+                <td>${formatSigned(day.stats.bias)}</td>
+                <td>${formatStat(day.stats.rms)}</td>
+                <td>${formatSigned(day.stats.maxDeviation)}</td>
+                <td>${formatStat(day.rolling.rms)}</td>
+                <td>${formatShift(day.shifts.maxShiftMinutes)}</td>
+            </tr>
+        `;
+    });
+
+    results.innerHTML = `${html}</tbody></table></div>`;
+}
+
+/**
+ * Show badge noting that cached data is displayed
+ */
+function showCacheBadge(cachedAt) {
+    const badge = document.getElementById('cache-badge');
+    const time = window.TideTime.formatTime(cachedAt, { hour: '2-digit', minute: '2-digit', hour12: false });
+    badge.textContent = window.TideI18n.t('badge.offline', { time });
+    badge.style.display = 'block';
+}
+
+/**
+ * Show when the data was last refreshed
+ */
+function updateLastUpdated() {
+    document.getElementById('last-updated').textContent = lastUpdated
+        ? window.TideI18n.t('status.updated', { time: window.TideTime.formatTime(lastUpdated) })
+        : '';
+}
+
+/**
+ * Hide cached data badge
+ */
+function hideCacheBadge() {
+    document.getElementById('cache-badge').style.display = 'none';
+}
+
 /**
  * Show error modal
  */
@@ -0,0 +1,132 @@
+/**
+ * Service Worker - Offline app shell
+ * DFO responses are not cached here: the app keeps its own offline copy in IndexedDB
+ * and must see network failures to show that data as stale
+ */
+
+// Bump the version when the app shell file list changes
+const CACHE_VERSION = 'v17';
+const SHELL_CACHE = `shady-times-shell-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-180.png',
+    'styles/main.css',
+    'scripts/stations.js',
+    'scripts/time.js',
+    'scripts/clock.js',
+    'scripts/preferences.js',
+    'scripts/i18n.js',
+    'scripts/store.js',
+    'scripts/http.js',
+    'scripts/providers.js',
+    'scripts/api.js',
+    'scripts/refresh.js',
+    'scripts/profiles.js',
+    'scripts/alerts.js',
+    'scripts/tides.js',
+    'scripts/sun.js',
+    'scripts/chart.js',
+    'scripts/ics.js',
+    'scripts/planner.js',
+    'scripts/accuracy.js',
+    'scripts/export.js',
+    'scripts/trip.js',
+    'scripts/ui.js'
+];
+
+// Paths of the shell files, to match requests to their cached entries
+const SHELL_PATHS = APP_SHELL.map(path => new URL(path, self.location).pathname);
+
+/**
+ * Precache the app shell on install
+ */
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+/**
+ * Remove caches from previous versions (and the API cache older versions kept) on activate
+ */
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key !== SHELL_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Serve app shell files stale-while-revalidate; everything else (DFO requests,
+ * fixtures) goes straight to the network
+ */
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const entry = getShellEntry(request);
+    if (entry) {
+        event.respondWith(staleWhileRevalidate(request, entry));
+    }
+});
+
+/**
+ * Focus (or open) the app when an access window alert is tapped
+ */
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window' }).then(clients => {
+            if (clients.length > 0) return clients[0].focus();
+            return self.clients.openWindow('./');
+        })
+    );
+});
+
+/**
+ * Get the app shell entry a request is for, or null when it is not a shell file
+ * Navigations to the app, whatever their query (?date=, ?demo=), all map to index.html
+ */
+function getShellEntry(request) {
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return null;
+
+    const index = SHELL_PATHS.indexOf(url.pathname);
+    if (index === -1) return null;
+
+    return request.mode === 'navigate' ? 'index.html' : APP_SHELL[index];
+}
+
+/**
+ * Serve the cached shell file immediately and update it in the background
+ */
+async function staleWhileRevalidate(request, entry) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(entry);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(entry, response.clone());
+            }
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) return cached;
+
+    const response = await network;
+    return response || Response.error();
+}